@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useRef } from 'react'
+import css from '../styles/index.module.css'
+
+/**
+ * 获取下拉编辑器的选项
+ * 优先使用列配置的 editorOptions，未配置时使用表头筛选的 filters
+ * @param {Object} column - 列配置
+ * @returns {Array} [{ label, value }]
+ */
+function getEditorOptions(column) {
+  const options = Array.isArray(column.editorOptions) ? column.editorOptions : column.filters || []
+  return options.map((option) =>
+    option && typeof option === 'object'
+      ? { label: option.label ?? option.text ?? option.value, value: option.value }
+      : { label: option, value: option }
+  )
+}
+
+/**
+ * 单元格编辑器组件
+ * 支持文本、数字、下拉三种编辑器；回车或失焦提交，Esc 取消，校验失败时保留编辑状态并提示错误
+ */
+function CellEditor({ column, value, onCommit, onCancel }) {
+  const [draft, setDraft] = useState(value === null || value === undefined ? '' : value)
+  const [error, setError] = useState(null)
+  const inputRef = useRef(null)
+  // 提交或取消后忽略随之而来的失焦事件
+  const doneRef = useRef(false)
+
+  useEffect(() => {
+    if (inputRef.current) {
+      inputRef.current.focus()
+      if (inputRef.current.select) inputRef.current.select()
+    }
+  }, [])
+
+  const commit = (nextValue) => {
+    if (doneRef.current) return
+    const message = onCommit(nextValue)
+    if (message) {
+      setError(message)
+    } else {
+      doneRef.current = true
+    }
+  }
+
+  const cancel = () => {
+    doneRef.current = true
+    onCancel()
+  }
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation()
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      commit(draft)
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      cancel()
+    }
+  }
+
+  const handleChange = (e) => {
+    setDraft(e.target.value)
+    setError(null)
+  }
+
+  const commonProps = {
+    ref: inputRef,
+    className: `${css.cellEditorInput} ${error ? css.cellEditorInvalid : ''}`,
+    onChange: handleChange,
+    onKeyDown: handleKeyDown,
+    onBlur: () => commit(draft),
+  }
+
+  let editor
+  if (column.editor === 'select') {
+    const options = getEditorOptions(column)
+    // 选项值可能为数字，按选中项取回原始值
+    const selectedIndex = options.findIndex((option) => String(option.value) === String(draft))
+    editor = (
+      <select
+        {...commonProps}
+        value={selectedIndex === -1 ? '' : String(selectedIndex)}
+        onChange={(e) => {
+          const option = options[Number(e.target.value)]
+          const nextValue = option ? option.value : ''
+          setDraft(nextValue)
+          setError(null)
+          commit(nextValue)
+        }}
+      >
+        {selectedIndex === -1 && <option value="" />}
+        {options.map((option, i) => (
+          <option key={i} value={String(i)}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    )
+  } else {
+    editor = <input {...commonProps} type={column.editor === 'number' ? 'number' : 'text'} value={draft} />
+  }
+
+  return (
+    <div
+      className={css.cellEditor}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+    >
+      {editor}
+      {error && <div className={css.cellEditorError}>{error}</div>}
+    </div>
+  )
+}
+
+export default CellEditor
@@ -0,0 +1,36 @@
+import React, { useRef, useEffect } from 'react'
+import css from '../styles/index.module.css'
+
+/**
+ * 复选框组件
+ * 支持半选状态（indeterminate 只能通过 DOM 属性设置）
+ * 点击时阻止冒泡，避免触发行点击/排序
+ * @param {Object} props
+ * @param {boolean} props.checked - 是否选中
+ * @param {boolean} props.indeterminate - 是否半选
+ * @param {boolean} props.disabled - 是否禁用
+ * @param {Function} props.onChange - 切换回调
+ */
+function Checkbox({ checked, indeterminate, disabled, onChange }) {
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    if (inputRef.current) {
+      inputRef.current.indeterminate = Boolean(indeterminate)
+    }
+  }, [indeterminate])
+
+  return (
+    <input
+      ref={inputRef}
+      type="checkbox"
+      className={css.selectionCheckbox}
+      checked={Boolean(checked)}
+      disabled={disabled}
+      onClick={(e) => e.stopPropagation()}
+      onChange={() => onChange && onChange()}
+    />
+  )
+}
+
+export default Checkbox
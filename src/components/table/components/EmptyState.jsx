@@ -4,12 +4,15 @@ import css from "../styles/index.module.css";
 /**
  * 空数据状态组件
  */
-function EmptyState({ text, showHeader, headerHeight }) {
+function EmptyState({ text, showHeader, headerHeight, footerHeight = 0 }) {
+  // 高度需扣除表头和合计行
+  const offsetHeight = (showHeader ? headerHeight : 0) + footerHeight;
+
   return (
     <div
       className={css.tableBody}
       style={{
-        height: showHeader ? `calc(100% - ${headerHeight}px)` : "100%",
+        height: offsetHeight ? `calc(100% - ${offsetHeight}px)` : "100%",
       }}
     >
       <div className={css.emptyRow}>
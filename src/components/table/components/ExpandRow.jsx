@@ -1,5 +1,6 @@
 import React, { useMemo } from 'react'
 import css from '../styles/index.module.css'
+import { sanitizeHtml } from '../utils/sanitize'
 
 /**
  * 展开行内容组件
@@ -8,8 +9,10 @@ import css from '../styles/index.module.css'
  * @param {number} props.rowIndex - 行索引
  * @param {number} props.colSpan - 列跨度
  * @param {Function} props.expandRenderFn - 展开内容渲染函数
+ * @param {Function} props.sanitize - HTML 清洗函数
+ * @param {boolean} props.isClone - 是否为无缝循环克隆行的展开内容（不参与无障碍树）
  */
-export function ExpandRow({ row, rowIndex, colSpan, expandRenderFn }) {
+export function ExpandRow({ row, rowIndex, colSpan, expandRenderFn, sanitize, isClone = false }) {
   // 执行渲染函数获取 HTML 字符串
   const htmlContent = useMemo(() => {
     if (!expandRenderFn) {
@@ -19,18 +22,25 @@ export function ExpandRow({ row, rowIndex, colSpan, expandRenderFn }) {
     try {
       const result = expandRenderFn(row, rowIndex)
       if (typeof result === 'string') {
-        return result
+        // 渲染结果中常包含接口返回的行数据，插入前按白名单清洗
+        return sanitize ? sanitize(result) : sanitizeHtml(result)
       }
       return '<div style="padding: 20px; color: #999;">渲染函数返回值必须是 HTML 字符串</div>'
     } catch (error) {
       console.error('展开内容渲染错误:', error)
       return '<div style="padding: 20px; color: #f56c6c;">渲染出错，请检查渲染函数</div>'
     }
-  }, [row, rowIndex, expandRenderFn])
+  }, [row, rowIndex, expandRenderFn, sanitize])
 
   return (
-    <tr className={css.expandRow}>
-      <td colSpan={colSpan} className={css.expandCell}>
+    <tr
+      className={css.expandRow}
+      data-row-index={rowIndex}
+      data-expand-row="true"
+      role={isClone ? undefined : 'row'}
+      aria-hidden={isClone ? 'true' : undefined}
+    >
+      <td colSpan={colSpan} className={css.expandCell} role={isClone ? undefined : 'gridcell'} aria-colspan={isClone ? undefined : colSpan}>
         <div
           className={css.expandContent}
           dangerouslySetInnerHTML={{ __html: htmlContent }}
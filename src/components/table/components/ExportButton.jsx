@@ -0,0 +1,28 @@
+import React from 'react'
+import css from '../styles/index.module.css'
+import { MaterialSymbolsDownload } from './Icon'
+
+/**
+ * 导出按钮组件
+ * 悬浮在表头右上角（不显示表头时在表格右上角），点击导出当前显示的数据
+ */
+function ExportButton({ height, color, format, onExport }) {
+  const handleClick = (e) => {
+    e.stopPropagation()
+    onExport()
+  }
+
+  return (
+    <button
+      type="button"
+      className={css.exportButton}
+      style={{ height: `${height}px`, color }}
+      title={`导出 ${format.toUpperCase()}`}
+      onClick={handleClick}
+    >
+      <MaterialSymbolsDownload />
+    </button>
+  )
+}
+
+export default ExportButton
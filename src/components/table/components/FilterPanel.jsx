@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useRef } from 'react'
+import css from '../styles/index.module.css'
+
+/**
+ * 表头筛选下拉面板
+ * 多选模式：勾选后点击「筛选」生效；单选模式：点击选项立即生效
+ * @param {Object} props
+ * @param {Object} props.column - 列配置（包含 filters, filterMultiple）
+ * @param {Array} props.values - 当前生效的筛选值
+ * @param {Object} props.position - 面板位置 { left, top }（相对于表格容器）
+ * @param {Function} props.onChange - 筛选值变化回调 (values) => void
+ * @param {Function} props.onClose - 关闭面板回调
+ */
+function FilterPanel({ column, values, position, onChange, onClose }) {
+  const panelRef = useRef(null)
+  const multiple = column.filterMultiple !== false
+  const [checkedValues, setCheckedValues] = useState(values || [])
+
+  // 点击面板外部时关闭
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        onClose()
+      }
+    }
+    document.addEventListener('mousedown', handleMouseDown)
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown)
+    }
+  }, [onClose])
+
+  const toggleValue = (value) => {
+    setCheckedValues((prev) => (prev.includes(value) ? prev.filter((v) => v !== value) : [...prev, value]))
+  }
+
+  const applyValues = (nextValues) => {
+    onChange(nextValues)
+    onClose()
+  }
+
+  return (
+    <div
+      ref={panelRef}
+      className={css.filterPanel}
+      style={{ left: `${position.left}px`, top: `${position.top}px` }}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {multiple ? (
+        <>
+          <div className={css.filterList}>
+            {column.filters.map((item) => (
+              <label key={String(item.value)} className={css.filterItem}>
+                <input
+                  type="checkbox"
+                  checked={checkedValues.includes(item.value)}
+                  onChange={() => toggleValue(item.value)}
+                />
+                <span>{item.text}</span>
+              </label>
+            ))}
+          </div>
+          <div className={css.filterFooter}>
+            <button
+              type="button"
+              className={css.filterButton}
+              disabled={checkedValues.length === 0}
+              onClick={() => applyValues(checkedValues)}
+            >
+              筛选
+            </button>
+            <button type="button" className={css.filterButton} onClick={() => applyValues([])}>
+              重置
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className={css.filterList}>
+          <div
+            className={`${css.filterItem} ${!values || values.length === 0 ? css.filterItemActive : ''}`}
+            onClick={() => applyValues([])}
+          >
+            全部
+          </div>
+          {column.filters.map((item) => (
+            <div
+              key={String(item.value)}
+              className={`${css.filterItem} ${values && values.includes(item.value) ? css.filterItemActive : ''}`}
+              onClick={() => applyValues([item.value])}
+            >
+              {item.text}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FilterPanel
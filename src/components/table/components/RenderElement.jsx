@@ -1,5 +1,7 @@
 import React from 'react'
 import css from '../styles/index.module.css'
+import { fillTemplate } from '../utils'
+import { sanitizeHtml, isSafeUrl } from '../utils/sanitize'
 
 /**
  * 图片元素
@@ -43,27 +45,269 @@ function TextElement({ content, style = {} }) {
  * @param {Object} props - 配置
  * @param {string} props.content - HTML/SVG 内容
  * @param {Object} props.style - 自定义样式
+ * @param {Function} props.sanitize - HTML 清洗函数，未传入时按默认白名单清洗
  */
-function HtmlElement({ content, style = {} }) {
+function HtmlElement({ content, style = {}, sanitize }) {
   if (!content) return null
-  return <span style={{ display: 'contents', ...style }} dangerouslySetInnerHTML={{ __html: content }} />
+  const html = sanitize ? sanitize(content) : sanitizeHtml(content)
+  return <span style={{ display: 'contents', ...style }} dangerouslySetInnerHTML={{ __html: html }} />
+}
+
+/**
+ * 转换为数字，无法转换时返回 null
+ * @param {*} value - 原始值
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * 解析颜色配置：字符串直接使用；数组视为渐变色标 ['#f00', '#0f0'] 或 [{ offset, color }]
+ * @param {string|Array} color - 颜色配置
+ * @param {string} defaultColor - 默认颜色
+ * @returns {string} CSS 颜色或渐变
+ */
+function resolveFill(color, defaultColor) {
+  if (!Array.isArray(color)) return color || defaultColor
+  if (color.length === 0) return defaultColor
+  if (color.length === 1) return typeof color[0] === 'object' ? color[0].color : color[0]
+  const stops = color.map((stop, i) => {
+    if (stop && typeof stop === 'object') {
+      // offset 可能是 0-1 小数或 0-100 整数
+      const offset = stop.offset > 1 ? stop.offset : (stop.offset ?? i / (color.length - 1)) * 100
+      return `${stop.color} ${offset}%`
+    }
+    return `${stop} ${(i / (color.length - 1)) * 100}%`
+  })
+  return `linear-gradient(90deg, ${stops.join(', ')})`
+}
+
+/**
+ * 进度条元素
+ * @param {Object} props - 配置
+ * @param {number} props.value - 当前值
+ * @param {number} props.max - 最大值（默认 100）
+ * @param {string|Array} props.color - 进度颜色，数组为渐变色标
+ * @param {string} props.trackColor - 轨道颜色
+ * @param {number} props.height - 进度条高度
+ * @param {boolean} props.showText - 是否显示百分比文字
+ * @param {Object} props.style - 自定义样式
+ */
+function ProgressElement({ value, max = 100, color, trackColor, height = 8, showText = true, style = {} }) {
+  const number = toNumber(value) ?? 0
+  const percent = max > 0 ? Math.min(100, Math.max(0, (number / max) * 100)) : 0
+
+  return (
+    <span className={css.progressElement} style={style}>
+      <span
+        className={css.progressTrack}
+        style={{ height: `${height}px`, borderRadius: `${height / 2}px`, background: trackColor || 'rgba(255, 255, 255, 0.15)' }}
+      >
+        <span
+          className={css.progressBar}
+          style={{ width: `${percent}%`, borderRadius: `${height / 2}px`, background: resolveFill(color, '#409eff') }}
+        />
+      </span>
+      {showText && <span className={css.progressText}>{`${Math.round(percent)}%`}</span>}
+    </span>
+  )
+}
+
+/**
+ * 标签元素
+ * @param {Object} props - 配置
+ * @param {string} props.text - 标签文字
+ * @param {string} props.color - 标签主色
+ * @param {Object} props.colorMap - 按文字取色 { 文字: 颜色 }，优先于 color
+ * @param {string} props.effect - 主题 light（浅色背景，默认）/ dark（实心）/ plain（仅边框）
+ * @param {Object} props.style - 自定义样式
+ */
+function TagElement({ text, color, colorMap, effect = 'light', style = {} }) {
+  if (text === null || text === undefined || text === '') return null
+  const tagColor = (colorMap && colorMap[text]) || color || '#409eff'
+
+  // 浅色主题的背景由伪元素按文字颜色半透明绘制，兼容任意颜色格式
+  const effectStyles = {
+    light: { color: tagColor, borderColor: tagColor },
+    dark: { color: '#fff', borderColor: tagColor, background: tagColor },
+    plain: { color: tagColor, borderColor: tagColor },
+  }
+  const isLight = !effectStyles[effect] || effect === 'light'
+
+  return (
+    <span
+      className={`${css.tagElement} ${isLight ? css.tagLight : ''}`}
+      style={{ ...(effectStyles[effect] || effectStyles.light), ...style }}
+    >
+      {text}
+    </span>
+  )
+}
+
+/**
+ * 数据条元素
+ * 条长按当前值与所在列最大值的比例绘制，数值显示在条上
+ * @param {Object} props - 配置
+ * @param {number} props.value - 当前值
+ * @param {number} props.max - 最大值（默认使用列中的最大值）
+ * @param {string|Array} props.color - 数据条颜色，数组为渐变色标
+ * @param {boolean} props.showText - 是否显示数值
+ * @param {Object} props.style - 自定义样式
+ */
+function DataBarElement({ value, max, color, showText = true, style = {} }) {
+  const number = toNumber(value)
+  if (number === null) return null
+  const percent = max > 0 ? Math.min(100, Math.max(0, (Math.abs(number) / max) * 100)) : 0
+
+  return (
+    <span className={css.dataBarElement} style={style}>
+      <span
+        className={css.dataBar}
+        style={{ width: `${percent}%`, background: resolveFill(color, 'rgba(64, 158, 255, 0.6)') }}
+      />
+      {showText && <span className={css.dataBarText}>{value}</span>}
+    </span>
+  )
+}
+
+/**
+ * 迷你折线图元素
+ * @param {Object} props - 配置
+ * @param {Array|string} props.data - 数据数组，也支持逗号分隔的字符串
+ * @param {number} props.width - 宽度
+ * @param {number} props.height - 高度
+ * @param {string} props.color - 线条颜色
+ * @param {number} props.lineWidth - 线宽
+ * @param {boolean} props.area - 是否填充面积
+ * @param {boolean} props.showDot - 是否标记最后一个点
+ * @param {Object} props.style - 自定义样式
+ */
+function SparklineElement({ data, width = 80, height = 20, color = '#409eff', lineWidth = 1.5, area = false, showDot = true, style = {} }) {
+  const list = (Array.isArray(data) ? data : typeof data === 'string' ? data.split(',') : [])
+    .map(toNumber)
+    .filter((number) => number !== null)
+  if (list.length === 0) return null
+
+  const min = Math.min(...list)
+  const max = Math.max(...list)
+  const range = max - min || 1
+  // 上下留出线宽的空间，避免线条被裁切
+  const padding = lineWidth
+  const points = list.map((number, i) => [
+    list.length === 1 ? width / 2 : padding + (i / (list.length - 1)) * (width - padding * 2),
+    height - padding - ((number - min) / range) * (height - padding * 2),
+  ])
+  const line = points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')
+  const [lastX, lastY] = points[points.length - 1]
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ verticalAlign: 'middle', flexShrink: 0, ...style }}>
+      {area && (
+        <polygon
+          points={`${points[0][0].toFixed(1)},${height} ${line} ${lastX.toFixed(1)},${height}`}
+          fill={color}
+          fillOpacity="0.2"
+        />
+      )}
+      <polyline points={line} fill="none" stroke={color} strokeWidth={lineWidth} strokeLinejoin="round" strokeLinecap="round" />
+      {showDot && <circle cx={lastX} cy={lastY} r={lineWidth + 0.5} fill={color} />}
+    </svg>
+  )
+}
+
+// 五角星路径（24x24）
+const STAR_PATH = 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2L9.19 8.63L2 9.24l5.46 4.73L5.82 21z'
+
+/**
+ * 评分元素
+ * @param {Object} props - 配置
+ * @param {number} props.value - 分值
+ * @param {number} props.max - 满分（星星个数，默认 5）
+ * @param {string} props.color - 点亮颜色
+ * @param {string} props.voidColor - 未点亮颜色
+ * @param {number} props.size - 星星大小
+ * @param {boolean} props.allowHalf - 是否显示半星（默认按四舍五入到整星）
+ * @param {Object} props.style - 自定义样式
+ */
+function RatingElement({ value, max = 5, color = '#f7ba2a', voidColor = 'rgba(255, 255, 255, 0.2)', size = 14, allowHalf = false, style = {} }) {
+  const number = Math.min(max, Math.max(0, toNumber(value) ?? 0))
+  const score = allowHalf ? Math.round(number * 2) / 2 : Math.round(number)
+
+  return (
+    <span className={css.ratingElement} style={style}>
+      {Array.from({ length: max }, (_, i) => {
+        // 每颗星的点亮比例：0、0.5 或 1
+        const fill = Math.min(1, Math.max(0, score - i))
+        return (
+          <svg key={i} width={size} height={size} viewBox="0 0 24 24">
+            <path d={STAR_PATH} fill={voidColor} />
+            {fill > 0 && (
+              <path d={STAR_PATH} fill={color} style={fill < 1 ? { clipPath: 'inset(0 50% 0 0)' } : undefined} />
+            )}
+          </svg>
+        )
+      })}
+    </span>
+  )
+}
+
+/**
+ * 链接元素
+ * @param {Object} props - 配置
+ * @param {string} props.text - 链接文字
+ * @param {string} props.href - 链接地址模板，`{field}` 替换为行数据字段值
+ * @param {string} props.target - 打开方式（默认 _blank）
+ * @param {Object} props.row - 行数据（用于填充模板）
+ * @param {Object} props.style - 自定义样式
+ */
+function LinkElement({ text, href, target = '_blank', row, style = {} }) {
+  if (text === null || text === undefined || text === '') return null
+  // 模板整体就是一个占位符时字段值即完整地址，不做编码
+  const isWholeField = typeof href === 'string' && /^\{\s*[\w$.]+\s*\}$/.test(href.trim())
+  const url = fillTemplate(href, row || {}, isWholeField ? null : encodeURIComponent)
+  // 只允许 http、https、mailto 和相对地址
+  const safeUrl = url && isSafeUrl(url) ? url : undefined
+
+  return (
+    <a
+      className={css.linkElement}
+      href={safeUrl}
+      target={target}
+      rel={target === '_blank' ? 'noopener noreferrer' : undefined}
+      style={style}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {text}
+    </a>
+  )
 }
 
 /**
  * 渲染元素工厂
  * 根据配置类型渲染对应的元素
  * @param {Object} config - 元素配置
+ * @param {Object} [context] - 单元格上下文 { row, value, columnMax, sanitize }，元素未配置取值时使用；sanitize 用于清洗 html 元素
  * @returns {React.ReactNode}
  *
  * 支持的元素类型：
  * - image: 图片 { type: 'image', src, width?, height?, style? }
  * - text: 文本 { type: 'text', content, style? }
  * - html: HTML/SVG { type: 'html', content, style? }
+ * - progress: 进度条 { type: 'progress', value?, max?, color?, trackColor?, height?, showText?, style? }
+ * - tag: 标签 { type: 'tag', text?, color?, colorMap?, effect?, style? }
+ * - dataBar: 数据条 { type: 'dataBar', value?, max?, color?, showText?, style? }
+ * - sparkline: 迷你折线图 { type: 'sparkline', data?, width?, height?, color?, lineWidth?, area?, showDot?, style? }
+ * - rating: 评分 { type: 'rating', value?, max?, color?, voidColor?, size?, allowHalf?, style? }
+ * - link: 链接 { type: 'link', text?, href, target?, style? }
  */
-export function renderElement(config) {
+export function renderElement(config, context = {}) {
   if (!config || typeof config !== 'object') return null
 
   const { type, ...props } = config
+  const { row, value, columnMax, sanitize } = context
 
   switch (type) {
     case 'image':
@@ -71,7 +315,19 @@ export function renderElement(config) {
     case 'text':
       return <TextElement {...props} />
     case 'html':
-      return <HtmlElement {...props} />
+      return <HtmlElement {...props} sanitize={sanitize} />
+    case 'progress':
+      return <ProgressElement {...props} value={props.value ?? value} />
+    case 'tag':
+      return <TagElement {...props} text={props.text ?? value} />
+    case 'dataBar':
+      return <DataBarElement {...props} value={props.value ?? value} max={props.max ?? columnMax} />
+    case 'sparkline':
+      return <SparklineElement {...props} data={props.data ?? value} />
+    case 'rating':
+      return <RatingElement {...props} value={props.value ?? value} />
+    case 'link':
+      return <LinkElement {...props} text={props.text ?? value} row={row} />
     default:
       return null
   }
@@ -83,8 +339,9 @@ export function renderElement(config) {
  * @param {Object} props - 配置
  * @param {Object} props.element - 元素配置
  * @param {string} props.position - 位置 topLeft|topRight|bottomLeft|bottomRight
+ * @param {Object} props.context - 单元格上下文
  */
-export function PositionedElement({ element, position }) {
+export function PositionedElement({ element, position, context }) {
   if (!element) return null
 
   const positionStyles = {
@@ -98,7 +355,7 @@ export function PositionedElement({ element, position }) {
 
   return (
     <span className={css.positionedElement} style={style}>
-      {renderElement(element)}
+      {renderElement(element, context)}
     </span>
   )
 }
@@ -108,9 +365,10 @@ export function PositionedElement({ element, position }) {
  * 处理 prefix/suffix/content 渲染逻辑
  * @param {Object} props - 配置
  * @param {Object} props.renderConfig - 渲染配置
+ * @param {Object} props.context - 单元格上下文 { row, value, columnMax, sanitize }
  * @param {React.ReactNode} props.children - 原始内容
  */
-export function CellContentRenderer({ renderConfig, children }) {
+export function CellContentRenderer({ renderConfig, context, children }) {
   if (!renderConfig || typeof renderConfig !== 'object') {
     return children
   }
@@ -121,26 +379,26 @@ export function CellContentRenderer({ renderConfig, children }) {
   const positionedElements = []
   if (prefix?.position && prefix.position !== 'inline') {
     positionedElements.push(
-      <PositionedElement key="prefix-pos" element={prefix} position={prefix.position} />
+      <PositionedElement key="prefix-pos" element={prefix} position={prefix.position} context={context} />
     )
   }
   if (suffix?.position && suffix.position !== 'inline') {
     positionedElements.push(
-      <PositionedElement key="suffix-pos" element={suffix} position={suffix.position} />
+      <PositionedElement key="suffix-pos" element={suffix} position={suffix.position} context={context} />
     )
   }
 
   // 处理行内元素
   const inlinePrefix = prefix && (!prefix.position || prefix.position === 'inline')
-    ? renderElement(prefix)
+    ? renderElement(prefix, context)
     : null
   const inlineSuffix = suffix && (!suffix.position || suffix.position === 'inline')
-    ? renderElement(suffix)
+    ? renderElement(suffix, context)
     : null
 
   // 处理内容替换
   const mainContent = content
-    ? renderElement(content)
+    ? renderElement(content, context)
     : (hideText ? null : children)
 
   return (
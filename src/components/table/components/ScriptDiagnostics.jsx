@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react'
+import css from '../styles/index.module.css'
+
+/**
+ * 格式化出错位置
+ * @param {Object} error - 脚本错误 { line, rowIndex, column }
+ * @returns {string} 如「第 2 行 · 行索引 3 · 列 name」
+ */
+function getErrorLocation(error) {
+  const parts = []
+  if (error.line) parts.push(`第 ${error.line} 行`)
+  if (error.rowIndex !== undefined && error.rowIndex !== null) parts.push(`行索引 ${error.rowIndex}`)
+  if (error.column !== undefined && error.column !== null && error.column !== '') parts.push(`列 ${error.column}`)
+  return parts.join(' · ')
+}
+
+/**
+ * 脚本诊断浮层
+ * 开启调试模式时显示，列出出错的脚本（配置路径、错误信息、出错位置和次数），便于在编辑器中排查
+ * 没有错误时不显示任何内容
+ */
+function ScriptDiagnostics({ scriptEngine }) {
+  const [errors, setErrors] = useState([])
+  const [collapsed, setCollapsed] = useState(false)
+
+  useEffect(() => {
+    // 挂载前（配置解析阶段）产生的编译错误在此补齐
+    setErrors(scriptEngine.getErrors())
+    return scriptEngine.subscribe(() => setErrors(scriptEngine.getErrors()))
+  }, [scriptEngine])
+
+  if (errors.length === 0) return null
+
+  return (
+    <div
+      className={css.diagnostics}
+      onClick={(e) => e.stopPropagation()}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div className={css.diagnosticsHeader}>
+        <span className={css.diagnosticsTitle} onClick={() => setCollapsed((prev) => !prev)}>
+          {collapsed ? '▸' : '▾'} 脚本错误 {errors.length}
+        </span>
+        <button type="button" className={css.diagnosticsClear} onClick={() => scriptEngine.clearErrors()}>
+          清空
+        </button>
+      </div>
+      {!collapsed && (
+        <ul className={css.diagnosticsList}>
+          {errors.map((error) => {
+            const location = getErrorLocation(error)
+            return (
+              <li key={error.path} className={css.diagnosticsItem}>
+                <div className={css.diagnosticsPath}>
+                  <span>{error.path}</span>
+                  <span className={css.diagnosticsCount}>×{error.count}</span>
+                </div>
+                <div className={css.diagnosticsMessage}>
+                  {error.label}
+                  {error.phase === 'compile' ? '解析' : '执行'}错误：{error.message}
+                </div>
+                {location && <div className={css.diagnosticsLocation}>{location}</div>}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ScriptDiagnostics
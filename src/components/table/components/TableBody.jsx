@@ -1,8 +1,11 @@
-import React, { useState, forwardRef } from 'react'
+import React, { useState, useMemo, forwardRef } from 'react'
 import css from '../styles/index.module.css'
-import { formatCellValue, isLastFixedLeft, isFirstFixedRight } from '../utils'
+import { formatCellValue, isLastFixedLeft, isFirstFixedRight, getRowKey } from '../utils'
 import { CellContentRenderer } from './RenderElement'
 import ExpandRow from './ExpandRow'
+import Checkbox from './Checkbox'
+import CellEditor from './CellEditor'
+import { getCellRuleFormat, RULE_ICONS } from '../utils/conditionalFormat'
 
 /**
  * 表格列组件
@@ -61,12 +64,39 @@ function TableCell({ row, column, rowIndex, colIndex, rowHeight, onCellClick, is
   )
 }
 
+/**
+ * 虚拟滚动占位行
+ * 撑开未渲染行所占的高度，保持滚动条位置和总高度不变
+ */
+function VirtualSpacer({ height, colSpan }) {
+  if (!height) return null
+  return (
+    <tr className={css.virtualSpacer} aria-hidden="true">
+      <td colSpan={colSpan} style={{ height: `${height}px` }} />
+    </tr>
+  )
+}
+
+/**
+ * 获取列配置 cellType 对应的内置元素配置
+ * 支持字符串（如 'progress'）或带样式选项的对象（如 { type: 'progress', max: 200 }）
+ * @param {Object} column - 列配置
+ * @returns {Object|null} 元素配置
+ */
+function getCellTypeElement(column) {
+  const { cellType } = column
+  if (!cellType || column.isIndexColumn) return null
+  if (typeof cellType === 'string') return { type: cellType }
+  return typeof cellType === 'object' && cellType.type ? cellType : null
+}
+
 /**
  * 表格行组件
  */
 function TableRow({
   row,
   rowIndex,
+  rowKey,
   columns,
   rowHeight,
   stripe,
@@ -79,17 +109,39 @@ function TableRow({
   fixedInfo,
   indexStart,
   rowStyleFn,
+  conditionalRules,
   cellStyleFn,
   cellRenderFn,
+  cellSanitize,
   expandConfig,
   isExpanded,
   onToggleExpand,
   treeConfig,
   onToggleTreeNode,
+  isSelected,
+  isIndeterminate,
+  selectable,
+  onToggleSelection,
+  cellSpans,
+  hoveredRowIndex,
+  getColumnMax,
+  isClone,
+  editingProp,
+  onStartEdit,
+  onCommitEdit,
+  onCancelEdit,
+  changeHighlight,
+  cellChanges,
+  changeVersion,
+  isInserted,
+  isRemoved,
+  tooltip,
+  tabStopCol,
+  ariaRowIndex,
 }) {
   const isStriped = stripe && rowIndex % 2 === 1
-  const isHovered = hoveredRow === rowIndex
-  const isCurrent = currentRow === rowIndex
+  const isHovered = hoveredRow === rowKey
+  const isCurrent = currentRow === rowKey
 
   const handleRowClick = () => {
     if (onRowClick) {
@@ -120,49 +172,58 @@ function TableRow({
   // 计算行自定义样式
   const getRowCustomStyle = () => {
     if (!rowStyleFn) return {}
-    try {
-      const result = rowStyleFn(row, rowIndex)
-      return result && typeof result === 'object' ? result : {}
-    } catch (e) {
-      console.error('行样式脚本执行错误:', e)
-      return {}
-    }
+    const result = rowStyleFn(row, rowIndex)
+    return result && typeof result === 'object' ? result : {}
   }
 
   // 计算单元格自定义样式
   const getCellCustomStyle = (column, colIndex) => {
     if (!cellStyleFn) return {}
-    try {
-      // colIndex 在表体中既是行内索引也是叶子列索引（因为表体使用扁平化列）
-      const result = cellStyleFn(row, column, rowIndex, colIndex, colIndex)
-      return result && typeof result === 'object' ? result : {}
-    } catch (e) {
-      console.error('单元格样式脚本执行错误:', e)
-      return {}
-    }
+    // colIndex 在表体中既是行内索引也是叶子列索引（因为表体使用扁平化列）
+    const result = cellStyleFn(row, column, rowIndex, colIndex, colIndex)
+    return result && typeof result === 'object' ? result : {}
   }
 
   // 计算单元格自定义渲染配置
   const getCellRenderConfig = (column, colIndex, value) => {
     if (!cellRenderFn) return null
-    try {
-      // colIndex 在表体中既是行内索引也是叶子列索引（因为表体使用扁平化列）
-      const result = cellRenderFn(row, column, rowIndex, colIndex, colIndex, value)
-      return result && typeof result === 'object' ? result : null
-    } catch (e) {
-      console.error('单元格渲染脚本执行错误:', e)
-      return null
-    }
+    // colIndex 在表体中既是行内索引也是叶子列索引（因为表体使用扁平化列）
+    const result = cellRenderFn(row, column, rowIndex, colIndex, colIndex, value)
+    return result && typeof result === 'object' ? result : null
   }
 
   const rowCustomStyle = getRowCustomStyle()
 
+  // 克隆行和淡出的已删除行只用于展示，不参与键盘导航和无障碍树
+  const isDecorative = isClone || isRemoved
+  // 漫游 tabindex：只有当前单元格可通过 Tab 聚焦，未启用键盘导航时不可聚焦
+  const getTabIndex = (colIndex) => {
+    if (tabStopCol === undefined || isDecorative) return undefined
+    return colIndex === tabStopCol ? 0 : -1
+  }
+  // 单元格的网格语义和导航定位属性
+  const getCellA11yProps = (colIndex) =>
+    isDecorative
+      ? {}
+      : { role: 'gridcell', 'data-col-index': colIndex, 'aria-colindex': colIndex + 1, tabIndex: getTabIndex(colIndex) }
+  // 树形节点和展开行的展开状态
+  const isTreeParent = Boolean(treeConfig?.enabled && row.__treeHasChildren__)
+  const ariaExpanded = isTreeParent ? Boolean(row.__treeIsExpanded__) : expandConfig?.enabled ? isExpanded : undefined
+
   return (
     <tr
       className={`${css.bodyRow} ${isStriped ? css.striped : ''} ${isHovered ? css.hovered : ''} ${
         highlightCurrentRow && isCurrent ? css.currentRow : ''
-      }`}
-      onMouseEnter={() => onHover(rowIndex)}
+      } ${isInserted ? css.rowInserted : ''} ${isRemoved ? css.rowRemoved : ''}`}
+      data-row-index={isRemoved ? undefined : rowIndex}
+      data-clone={isClone ? 'true' : undefined}
+      role={isDecorative ? undefined : 'row'}
+      aria-hidden={isDecorative ? 'true' : undefined}
+      aria-rowindex={isDecorative ? undefined : ariaRowIndex}
+      aria-expanded={isDecorative ? undefined : ariaExpanded}
+      aria-level={!isDecorative && treeConfig?.enabled ? (row.__treeLevel__ || 0) + 1 : undefined}
+      aria-selected={!isDecorative && onToggleSelection ? isSelected : undefined}
+      onMouseEnter={() => onHover(rowKey)}
       onMouseLeave={() => onHover(null)}
       onClick={handleRowClick}
       style={{ cursor: 'pointer', ...rowCustomStyle }}
@@ -172,17 +233,56 @@ function TableRow({
         const fixedStyle = isFixed ? getFixedStyle(column, colIndex) : {}
         const cellValue = getCellValue(column, rowIndex)
         const rawValue = column.isIndexColumn ? (indexStart + rowIndex) : row[column.prop]
-        const cellCustomStyle = getCellCustomStyle(column, colIndex)
-        const renderConfig = getCellRenderConfig(column, colIndex, rawValue)
+        // 条件格式先于样式/渲染脚本计算，脚本返回的同名属性覆盖条件格式
+        const ruleFormat = column.isIndexColumn ? null : getCellRuleFormat(conditionalRules, row, column)
+        const cellCustomStyle = { ...ruleFormat?.style, ...getCellCustomStyle(column, colIndex) }
+        const scriptRenderConfig = getCellRenderConfig(column, colIndex, rawValue)
+        // 列配置 cellType 指定的内置元素作为默认内容，渲染脚本返回 content 时以脚本为准
+        const cellTypeElement = getCellTypeElement(column)
+        const renderConfig =
+          ruleFormat?.icon || cellTypeElement
+            ? {
+                ...(ruleFormat?.icon ? { prefix: ruleFormat.icon } : null),
+                ...(cellTypeElement ? { content: cellTypeElement } : null),
+                ...scriptRenderConfig,
+              }
+            : scriptRenderConfig
         const hasRenderConfig = renderConfig !== null
+        // 数据刷新后该单元格的变化方向（up / down / change）
+        const change = column.isIndexColumn ? undefined : cellChanges?.get(column.prop)
+        const showArrow = change && changeHighlight.mode !== 'color' && change !== 'change'
+        const showFlash = change && (changeHighlight.mode !== 'arrow' || change === 'change')
+        // 连续刷新时交替使用两个动画类名，使同一单元格的闪烁重新播放
+        const flashClass = showFlash ? (changeVersion % 2 ? css.cellFlash : css.cellFlashAlt) : ''
+        const isEditing = !isClone && editingProp !== null && editingProp !== undefined && editingProp === column.prop
+
+        // 单元格合并：被合并覆盖的单元格不渲染
+        const span = cellSpans ? cellSpans[colIndex] : null
+        if (span && span.hidden) {
+          return null
+        }
+        const spanProps = span
+          ? {
+              rowSpan: span.rowSpan > 1 ? span.rowSpan : undefined,
+              colSpan: span.colSpan > 1 ? span.colSpan : undefined,
+            }
+          : {}
+        // 横向合并时按合并区域最后一列判断左固定列阴影
+        const lastColIndex = colIndex + (span ? span.colSpan : 1) - 1
+        // 纵向合并的单元格不跟随某一行的斑马纹，悬停合并区域内任意一行时整体高亮
+        const isMerged = Boolean(span && span.rowSpan > 1)
+        const isMergedHovered = isMerged && hoveredRowIndex >= rowIndex && hoveredRowIndex <= span.lastRowIndex
+        const mergedClass = isMerged ? `${css.mergedCell} ${isMergedHovered ? css.mergedHovered : ''}` : ''
 
         // 展开列特殊处理
         if (column.isExpandColumn) {
           return (
             <td
               key="__expand__"
-              className={`${css.bodyCell} ${css.expandIconCell} ${
-                isLastFixedLeft(columns, colIndex) ? css.fixedLeftLast : ''
+              {...spanProps}
+              {...getCellA11yProps(colIndex)}
+              className={`${css.bodyCell} ${css.expandIconCell} ${mergedClass} ${
+                isLastFixedLeft(columns, lastColIndex) ? css.fixedLeftLast : ''
               } ${isFirstFixedRight(columns, colIndex) ? css.fixedRightFirst : ''} ${
                 column.fixed === 'left' || column.fixed === true ? css.fixedLeft : ''
               } ${column.fixed === 'right' ? css.fixedRight : ''}`}
@@ -194,7 +294,7 @@ function TableRow({
               }}
               onClick={(e) => {
                 e.stopPropagation()
-                onToggleExpand(rowIndex)
+                onToggleExpand(rowKey)
               }}
             >
               <div
@@ -207,14 +307,49 @@ function TableRow({
           )
         }
 
+        // 勾选列特殊处理
+        if (column.isSelectionColumn) {
+          return (
+            <td
+              key="__selection__"
+              {...spanProps}
+              {...getCellA11yProps(colIndex)}
+              className={`${css.bodyCell} ${css.selectionCell} ${mergedClass} ${
+                isLastFixedLeft(columns, lastColIndex) ? css.fixedLeftLast : ''
+              } ${isFirstFixedRight(columns, colIndex) ? css.fixedRightFirst : ''} ${
+                column.fixed === 'left' || column.fixed === true ? css.fixedLeft : ''
+              } ${column.fixed === 'right' ? css.fixedRight : ''}`}
+              style={{
+                textAlign: 'center',
+                height: `${rowHeight}px`,
+                ...fixedStyle,
+              }}
+              onClick={(e) => {
+                // 点击单元格空白处也切换勾选，且不触发行点击
+                e.stopPropagation()
+                if (selectable) onToggleSelection(rowKey)
+              }}
+            >
+              <Checkbox
+                checked={isSelected}
+                indeterminate={isIndeterminate}
+                disabled={!selectable}
+                onChange={() => onToggleSelection(rowKey)}
+              />
+            </td>
+          )
+        }
+
         return (
           <td
             key={column.isIndexColumn ? '__index__' : column.prop || colIndex}
-            className={`${css.bodyCell} ${column.showOverflowTooltip ? css.ellipsis : ''} ${
-              isLastFixedLeft(columns, colIndex) ? css.fixedLeftLast : ''
+            {...spanProps}
+            {...getCellA11yProps(colIndex)}
+            className={`${css.bodyCell} ${column.showOverflowTooltip ? css.ellipsis : ''} ${mergedClass} ${
+              isLastFixedLeft(columns, lastColIndex) ? css.fixedLeftLast : ''
             } ${isFirstFixedRight(columns, colIndex) ? css.fixedRightFirst : ''} ${
               column.fixed === 'left' || column.fixed === true ? css.fixedLeft : ''
-            } ${column.fixed === 'right' ? css.fixedRight : ''} ${hasRenderConfig ? css.cellWithRender : ''}`}
+            } ${column.fixed === 'right' ? css.fixedRight : ''} ${hasRenderConfig ? css.cellWithRender : ''} ${flashClass}`}
             style={{
               textAlign: column.align || 'center',
               height: `${rowHeight}px`,
@@ -222,7 +357,15 @@ function TableRow({
               ...fixedStyle,
               ...cellCustomStyle,
             }}
-            title={column.showOverflowTooltip ? String(cellValue) : undefined}
+            title={column.showOverflowTooltip && !tooltip ? String(cellValue) : undefined}
+            onMouseEnter={tooltip ? (e) => tooltip.show(e.currentTarget, { row, column, value: rawValue }) : undefined}
+            onMouseLeave={tooltip ? tooltip.hide : undefined}
+            onDoubleClick={(e) => {
+              // 双击可编辑列打开编辑器（克隆行不可编辑）
+              if (!column.editable || column.isIndexColumn || isClone || !onStartEdit) return
+              e.stopPropagation()
+              onStartEdit(rowKey, column)
+            }}
             onClick={(e) => {
               // 展开列已经单独处理
               if (column.isExpandColumn) {
@@ -231,7 +374,7 @@ function TableRow({
               // 如果展开图标在第一列模式，且当前是第一列，则触发展开
               if (expandConfig?.enabled && expandConfig.iconColumn === 'first' && colIndex === 0) {
                 e.stopPropagation()
-                onToggleExpand(rowIndex)
+                onToggleExpand(rowKey)
                 return
               }
               // 序号列不触发单元格点击事件
@@ -280,9 +423,33 @@ function TableRow({
                   }}
                 />
               )}
-              <CellContentRenderer renderConfig={renderConfig}>
-                {column.render ? column.render({ row, column, $index: rowIndex }) : cellValue}
-              </CellContentRenderer>
+              {isEditing ? (
+                <CellEditor
+                  column={column}
+                  value={row[column.prop]}
+                  onCommit={(value) => onCommitEdit(row, column, rowIndex, rowKey, value)}
+                  onCancel={onCancelEdit}
+                />
+              ) : (
+                <CellContentRenderer
+                  renderConfig={renderConfig}
+                  context={{
+                    row,
+                    value: rawValue,
+                    columnMax: hasRenderConfig ? getColumnMax?.(column.prop) : undefined,
+                    sanitize: cellSanitize,
+                  }}
+                >
+                  {column.render ? column.render({ row, column, $index: rowIndex }) : cellValue}
+                </CellContentRenderer>
+              )}
+              {showArrow && (
+                <span
+                  className={`${css.changeArrow} ${changeVersion % 2 ? css.changeArrowFade : css.changeArrowFadeAlt}`}
+                  style={{ color: change === 'up' ? changeHighlight.upColor : changeHighlight.downColor }}
+                  dangerouslySetInnerHTML={{ __html: change === 'up' ? RULE_ICONS.arrowUp : RULE_ICONS.arrowDown }}
+                />
+              )}
             </div>
           </td>
         )
@@ -305,6 +472,7 @@ const TableBody = forwardRef(function TableBody(
     highlightCurrentRow,
     showHeader,
     headerHeight,
+    footerHeight = 0,
     minWidth,
     onScroll,
     onRowClick,
@@ -312,80 +480,186 @@ const TableBody = forwardRef(function TableBody(
     fixedInfo,
     indexStart = 1,
     rowStyleFn,
+    conditionalRules,
     cellStyleFn,
     cellRenderFn,
+    cellSanitize,
     expandConfig,
     expandedRows,
     onToggleExpand,
     treeConfig,
     onToggleTreeNode,
+    virtualRange,
+    rowKey,
+    selection,
+    cellSpans,
+    loopClone = false,
+    currentRow = null,
+    onCurrentChange,
+    editingCell = null,
+    onStartEdit,
+    onCommitEdit,
+    onCancelEdit,
+    changeHighlight,
+    dataChange,
+    tooltip,
+    keyboardNav,
+    headerRowCount = 0,
   },
   ref
 ) {
+  // 悬停行、高亮行（currentRow）均以 rowKey 记录，排序或数据刷新后仍跟随原记录
   const [hoveredRow, setHoveredRow] = useState(null)
-  const [currentRow, setCurrentRow] = useState(null)
 
   // 行点击处理：更新高亮状态 + 触发事件
   const handleRowClick = (row, rowIndex) => {
-    if (highlightCurrentRow) {
-      setCurrentRow(rowIndex)
+    if (highlightCurrentRow && onCurrentChange) {
+      onCurrentChange(row, rowIndex)
     }
     if (onRowClick) {
       onRowClick(row, rowIndex)
     }
   }
 
+  // 虚拟滚动时只渲染区间内的行，rowIndex 仍为在完整数据中的索引
+  const start = virtualRange?.enabled ? virtualRange.start : 0
+  const visibleData = virtualRange?.enabled ? data.slice(start, virtualRange.end) : data
+
+  // 列最大值（数据条按此缩放），按列懒计算并随数据缓存
+  const getColumnMax = useMemo(() => {
+    const cache = new Map()
+    return (prop) => {
+      if (!prop) return undefined
+      if (!cache.has(prop)) {
+        let max = 0
+        data.forEach((row) => {
+          const number = Math.abs(Number(row[prop]))
+          if (Number.isFinite(number) && number > max) max = number
+        })
+        cache.set(prop, max)
+      }
+      return cache.get(prop)
+    }
+  }, [data])
+
+  // 悬停行在完整数据中的索引（用于合并单元格的悬停高亮）
+  const hoveredRowIndex = useMemo(() => {
+    if (!cellSpans || hoveredRow === null) return -1
+    const index = visibleData.findIndex((row, i) => getRowKey(row, rowKey, start + i) === hoveredRow)
+    return index === -1 ? -1 : start + index
+  }, [cellSpans, hoveredRow, visibleData, rowKey, start])
+
+  /**
+   * 渲染一行（含展开行）
+   * 克隆行与原始行使用同一份数据和行索引，斑马纹、序号和点击事件均对应真实行
+   * @param {Object} row - 行数据
+   * @param {number} rowIndex - 在完整数据中的索引
+   * @param {boolean} isClone - 是否为无缝循环的克隆行
+   * @param {boolean} isRemoved - 是否为数据刷新后正在淡出的已删除行
+   */
+  const renderRow = (row, rowIndex, isClone = false, isRemoved = false) => {
+    const key = getRowKey(row, rowKey, rowIndex)
+    const isExpanded = !isRemoved && (expandedRows?.has(key) || false)
+    // 克隆行不播放变化动画，避免循环滚动时同一行闪烁两次
+    const changes = !isClone && !isRemoved ? dataChange : null
+    return (
+      <React.Fragment key={isClone ? `${key}__clone` : isRemoved ? `${key}__removed` : key}>
+        <TableRow
+          row={row}
+          rowIndex={rowIndex}
+          rowKey={key}
+          columns={columns}
+          colWidths={colWidths}
+          rowHeight={rowHeight}
+          stripe={stripe}
+          highlightCurrentRow={highlightCurrentRow}
+          hoveredRow={hoveredRow}
+          currentRow={currentRow}
+          onHover={setHoveredRow}
+          onRowClick={handleRowClick}
+          onCellClick={onCellClick}
+          fixedInfo={fixedInfo}
+          indexStart={indexStart}
+          rowStyleFn={rowStyleFn}
+          conditionalRules={conditionalRules}
+          cellStyleFn={cellStyleFn}
+          cellRenderFn={cellRenderFn}
+          cellSanitize={cellSanitize}
+          expandConfig={expandConfig}
+          isExpanded={isExpanded}
+          onToggleExpand={onToggleExpand}
+          treeConfig={treeConfig}
+          onToggleTreeNode={onToggleTreeNode}
+          isSelected={selection?.selectedKeys.has(key) || false}
+          isIndeterminate={selection?.indeterminateKeys.has(key) || false}
+          selectable={selection ? selection.isSelectable(key) : false}
+          onToggleSelection={selection?.onToggle}
+          cellSpans={isRemoved ? undefined : cellSpans?.get(rowIndex)}
+          hoveredRowIndex={hoveredRowIndex}
+          getColumnMax={getColumnMax}
+          isClone={isClone}
+          editingProp={editingCell && editingCell.key === key ? editingCell.prop : null}
+          onStartEdit={onStartEdit}
+          onCommitEdit={onCommitEdit}
+          onCancelEdit={onCancelEdit}
+          changeHighlight={changeHighlight}
+          cellChanges={changes?.cells.get(key)}
+          changeVersion={dataChange?.version}
+          isInserted={Boolean(changes?.addedKeys.has(key))}
+          isRemoved={isRemoved}
+          tooltip={isRemoved ? null : tooltip}
+          tabStopCol={keyboardNav ? (keyboardNav.tabStop?.rowIndex === rowIndex ? keyboardNav.tabStop.colIndex : -1) : undefined}
+          ariaRowIndex={headerRowCount + rowIndex + 1}
+        />
+        {expandConfig?.enabled && isExpanded && (
+          <ExpandRow
+            row={row}
+            rowIndex={rowIndex}
+            colSpan={columns.length}
+            expandRenderFn={expandConfig.expandRenderFn}
+            sanitize={expandConfig.sanitize}
+            isClone={isClone}
+          />
+        )}
+      </React.Fragment>
+    )
+  }
+
+  /**
+   * 渲染正在淡出的已删除行，显示在删除前的位置（虚拟滚动时不显示，避免行偏移量错位）
+   * @param {number} from - 起始位置（含）
+   * @param {number} [to] - 结束位置（含），默认与 from 相同
+   */
+  const renderRemovedRows = (from, to = from) => {
+    if (virtualRange?.enabled || !dataChange?.removedRows.length) return []
+    return dataChange.removedRows
+      .filter((item) => item.index >= from && item.index <= to)
+      .map((item) => renderRow(item.row, item.index, false, true))
+  }
+
+  // 表体高度需扣除表头和合计行
+  const offsetHeight = (showHeader ? headerHeight : 0) + footerHeight
+
   return (
     <div
       ref={ref}
       className={css.tableBody}
       style={{
-        height: showHeader ? `calc(100% - ${headerHeight}px)` : '100%',
+        height: offsetHeight ? `calc(100% - ${offsetHeight}px)` : '100%',
       }}
       onScroll={onScroll}
+      onKeyDown={keyboardNav?.onKeyDown}
+      onFocus={keyboardNav?.onFocus}
+      onBlur={keyboardNav?.onBlur}
     >
-      <table className={css.table} style={{ minWidth }}>
+      <table className={css.table} style={{ minWidth }} role="presentation">
         <ColGroup columns={columns} colWidths={colWidths} />
-        <tbody>
-          {data.map((row, rowIndex) => {
-            const isExpanded = expandedRows?.has(rowIndex) || false
-            return (
-              <React.Fragment key={row.id || rowIndex}>
-                <TableRow
-                  row={row}
-                  rowIndex={rowIndex}
-                  columns={columns}
-                  colWidths={colWidths}
-                  rowHeight={rowHeight}
-                  stripe={stripe}
-                  highlightCurrentRow={highlightCurrentRow}
-                  hoveredRow={hoveredRow}
-                  currentRow={currentRow}
-                  onHover={setHoveredRow}
-                  onRowClick={handleRowClick}
-                  onCellClick={onCellClick}
-                  fixedInfo={fixedInfo}
-                  indexStart={indexStart}
-                  rowStyleFn={rowStyleFn}
-                  cellStyleFn={cellStyleFn}
-                  cellRenderFn={cellRenderFn}
-                  expandConfig={expandConfig}
-                  isExpanded={isExpanded}
-                  onToggleExpand={onToggleExpand}
-                  treeConfig={treeConfig}
-                  onToggleTreeNode={onToggleTreeNode}
-                />
-                {expandConfig?.enabled && isExpanded && (
-                  <ExpandRow
-                    row={row}
-                    rowIndex={rowIndex}
-                    colSpan={columns.length}
-                    expandRenderFn={expandConfig.expandRenderFn}
-                  />
-                )}
-              </React.Fragment>
-            )
-          })}
+        <tbody role="rowgroup">
+          <VirtualSpacer height={virtualRange?.topHeight} colSpan={columns.length} />
+          {visibleData.flatMap((row, i) => [...renderRemovedRows(start + i), renderRow(row, start + i)])}
+          {renderRemovedRows(data.length, Infinity)}
+          {loopClone && visibleData.map((row, i) => renderRow(row, start + i, true))}
+          <VirtualSpacer height={virtualRange?.bottomHeight} colSpan={columns.length} />
         </tbody>
       </table>
     </div>
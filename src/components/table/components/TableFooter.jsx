@@ -0,0 +1,94 @@
+import React, { forwardRef, useMemo } from 'react'
+import css from '../styles/index.module.css'
+import { isLastFixedLeft, isFirstFixedRight, getSummaryValues } from '../utils'
+import { formatSummaryValue } from '../utils/format'
+
+/**
+ * 表格列组件
+ * 定义表格列宽度，与表头、表体保持对齐
+ */
+function ColGroup({ columns, colWidths }) {
+  return (
+    <colgroup>
+      {columns.map((col, i) => (
+        <col
+          key={col.prop || i}
+          style={{
+            width: colWidths[i] ? `${colWidths[i]}px` : 'auto',
+            minWidth: col.minWidth ? `${col.minWidth}px` : undefined,
+          }}
+        />
+      ))}
+    </colgroup>
+  )
+}
+
+/**
+ * 合计行组件
+ * 固定在表体底部，横向滚动与表体同步，支持列固定
+ */
+const TableFooter = forwardRef(function TableFooter(
+  { columns, colWidths, data, minWidth, fixedInfo, summaryConfig, ariaRowIndex },
+  ref
+) {
+  const { height, sumText, summaryMethodFn } = summaryConfig
+
+  // 计算合计值：优先使用自定义合计脚本
+  const summaryValues = useMemo(() => {
+    if (summaryMethodFn) {
+      const result = summaryMethodFn(columns, data)
+      if (Array.isArray(result)) return result
+    }
+    return getSummaryValues(columns, data, sumText)
+  }, [columns, data, sumText, summaryMethodFn])
+
+  // 计算固定列的 CSS 变量样式（left/right 位置）
+  const getFixedStyle = (column, colIndex) => {
+    const style = {}
+    if (column.fixed === 'left' || column.fixed === true) {
+      style['--fixed-left'] = `${fixedInfo.leftPositions[colIndex]}px`
+    } else if (column.fixed === 'right') {
+      style['--fixed-right'] = `${fixedInfo.rightPositions[colIndex]}px`
+    }
+    return style
+  }
+
+  return (
+    <div ref={ref} className={css.tableFooter} style={{ height: `${height}px` }}>
+      <table className={css.table} style={{ minWidth }} role="presentation">
+        <ColGroup columns={columns} colWidths={colWidths} />
+        <tbody role="rowgroup">
+          <tr className={css.footerRow} role="row" aria-rowindex={ariaRowIndex}>
+            {columns.map((column, colIndex) => {
+              const isFixedLeft = column.fixed === 'left' || column.fixed === true
+              const isFixedRight = column.fixed === 'right'
+              // 第一列为合计文本，其余列按列格式显示
+              const value = colIndex === 0 ? summaryValues[colIndex] : formatSummaryValue(summaryValues[colIndex], column)
+              return (
+                <td
+                  key={column.prop || colIndex}
+                  role="gridcell"
+                  aria-colindex={colIndex + 1}
+                  className={`${css.bodyCell} ${css.footerCell} ${
+                    isLastFixedLeft(columns, colIndex) ? css.fixedLeftLast : ''
+                  } ${isFirstFixedRight(columns, colIndex) ? css.fixedRightFirst : ''} ${
+                    isFixedLeft ? css.footerFixedLeft : ''
+                  } ${isFixedRight ? css.footerFixedRight : ''}`}
+                  style={{
+                    textAlign: column.align || 'center',
+                    height: `${height}px`,
+                    ...(isFixedLeft || isFixedRight ? getFixedStyle(column, colIndex) : {}),
+                  }}
+                >
+                  <div className={css.cellContent}>{value === null || value === undefined ? '' : value}</div>
+                </td>
+              )
+            })}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  )
+})
+
+export default TableFooter
@@ -1,8 +1,13 @@
-import React, { forwardRef, useMemo } from 'react'
+import React, { forwardRef, useMemo, useState, useCallback } from 'react'
 import css from '../styles/index.module.css'
 import { isLastFixedLeft, isFirstFixedRight, convertToHeaderRows, flattenColumns, getHeaderRowCount } from '../utils'
-import { MaterialSymbolsArrowDropUp, MaterialSymbolsArrowDropDownRounded } from './Icon'
+import { MaterialSymbolsArrowDropUp, MaterialSymbolsArrowDropDownRounded, MaterialSymbolsFilterAlt } from './Icon'
 import { CellContentRenderer } from './RenderElement'
+import FilterPanel from './FilterPanel'
+import Checkbox from './Checkbox'
+
+// 筛选面板宽度（与样式中 .filterPanel 保持一致）
+const FILTER_PANEL_WIDTH = 160
 
 /**
  * 表格列组件
@@ -27,29 +32,58 @@ function ColGroup({ leafColumns, colWidths }) {
 
 /**
  * 排序图标组件
+ * 多列排序时在图标旁显示该列的排序优先级
  */
 function SortIcon({ column, sortState }) {
   if (!column.sortable) return null
 
-  const isActive = sortState.prop === column.prop
-  const isAsc = isActive && sortState.order === 'ascending'
-  const isDesc = isActive && sortState.order === 'descending'
+  const sorts = sortState.sorts || []
+  const sortIndex = sorts.findIndex((s) => s.prop === column.prop)
+  const activeSort = sortIndex === -1 ? null : sorts[sortIndex]
+  const isAsc = activeSort?.order === 'ascending'
+  const isDesc = activeSort?.order === 'descending'
 
   return (
-    <span className={css.sortWrapper}>
-      <MaterialSymbolsArrowDropUp className={`${css.sortIcon} ${css.ascending} ${isAsc ? css.active : ''}`} />
-      <MaterialSymbolsArrowDropDownRounded
-        className={`${css.sortIcon} ${css.descending} ${isDesc ? css.active : ''}`}
-      />
+    <>
+      <span className={css.sortWrapper}>
+        <MaterialSymbolsArrowDropUp className={`${css.sortIcon} ${css.ascending} ${isAsc ? css.active : ''}`} />
+        <MaterialSymbolsArrowDropDownRounded
+          className={`${css.sortIcon} ${css.descending} ${isDesc ? css.active : ''}`}
+        />
+      </span>
+      {activeSort && sorts.length > 1 && <span className={css.sortPriority}>{sortIndex + 1}</span>}
+    </>
+  )
+}
+
+/**
+ * 筛选图标组件
+ * 仅对配置了 filters 的列显示，点击打开筛选面板
+ */
+function FilterIcon({ column, filterState, onFilterClick }) {
+  if (!Array.isArray(column.filters) || column.filters.length === 0) return null
+
+  const isActive = Boolean(filterState?.[column.prop])
+
+  return (
+    <span
+      className={`${css.filterIcon} ${isActive ? css.active : ''}`}
+      onClick={(e) => {
+        // 阻止冒泡，避免触发排序
+        e.stopPropagation()
+        onFilterClick(column, e.currentTarget.closest('th'))
+      }}
+    >
+      <MaterialSymbolsFilterAlt />
     </span>
   )
 }
 
 /**
  * 表头内容渲染
- * 支持富文本（HTML 标签如 <br />）
+ * 支持富文本（HTML 标签如 <br />），插入前按白名单清洗；列配置 trustedHtml: true 时原样输出
  */
-function HeaderContent({ column }) {
+function HeaderContent({ column, sanitizeHtml }) {
   // 自定义渲染函数
   if (column.renderHeader) {
     return column.renderHeader({ column })
@@ -60,7 +94,8 @@ function HeaderContent({ column }) {
 
   // 支持 HTML 标签（如 <br />, <br>, <span> 等）
   if (typeof label === 'string' && /<[^>]+>/.test(label)) {
-    return <span className={css.headerMultiline} dangerouslySetInnerHTML={{ __html: label }} />
+    const html = sanitizeHtml ? sanitizeHtml(label, column.trustedHtml === true) : label
+    return <span className={css.headerMultiline} dangerouslySetInnerHTML={{ __html: html }} />
   }
 
   // 支持 \n 换行（向后兼容）
@@ -84,7 +119,7 @@ function HeaderContent({ column }) {
 /**
  * 表头单元格组件
  */
-function HeaderCell({ column, rowHeight, sortState, onSort, leafColumns, fixedInfo, leafStartIndex, headerCellStyleFn, headerCellRenderFn, columnIndex, leafColumnIndex }) {
+function HeaderCell({ column, rowHeight, sortState, onSort, filterState, onFilterClick, selection, resizable, onResizeStart, isResizing, colWidths, leafColumns, fixedInfo, leafStartIndex, headerCellStyleFn, headerCellRenderFn, headerCellSanitize, sanitizeHtml, tooltip, columnIndex, leafColumnIndex }) {
   // 计算该单元格对应的叶子列索引范围（用于固定列样式）
   const getLeafColumnIndex = () => {
     if (column.isLeaf) {
@@ -125,38 +160,54 @@ function HeaderCell({ column, rowHeight, sortState, onSort, leafColumns, fixedIn
   // 计算自定义样式
   const getCustomStyle = () => {
     if (!headerCellStyleFn) return {}
-    try {
-      const result = headerCellStyleFn(column, columnIndex, leafColumnIndex)
-      return result && typeof result === 'object' ? result : {}
-    } catch (e) {
-      console.error('表头单元格样式脚本执行错误:', e)
-      return {}
-    }
+    const result = headerCellStyleFn(column, columnIndex, leafColumnIndex)
+    return result && typeof result === 'object' ? result : {}
   }
 
   // 计算自定义渲染配置
   const getRenderConfig = () => {
     if (!headerCellRenderFn) return null
-    try {
-      const result = headerCellRenderFn(column, columnIndex, leafColumnIndex)
-      return result && typeof result === 'object' ? result : null
-    } catch (e) {
-      console.error('表头单元格渲染脚本执行错误:', e)
-      return null
-    }
+    const result = headerCellRenderFn(column, columnIndex, leafColumnIndex)
+    return result && typeof result === 'object' ? result : null
   }
 
   const customCellStyle = getCustomStyle()
   const renderConfig = getRenderConfig()
   const hasRenderConfig = renderConfig !== null
 
+  // 排序状态（无障碍 aria-sort，仅可排序的叶子列）
+  const activeSort = column.isLeaf && column.sortable ? (sortState.sorts || []).find((s) => s.prop === column.prop) : null
+  const ariaSort = column.isLeaf && column.sortable ? activeSort?.order || 'none' : undefined
+
+  // 悬停提示框：表头单元格的渲染脚本参数 row 为 null，value 为列标题
+  const handleMouseEnter = tooltip ? (e) => tooltip.show(e.currentTarget, { row: null, column, value: column.label }) : undefined
+
+  // 是否显示列宽拖拽手柄（列配置 resizable: false 时禁用）
+  const canResize = resizable && column.resizable !== false && Boolean(onResizeStart)
+
+  // 按下拖拽手柄：记录受影响叶子列的实际宽度，分组列影响其下所有叶子列
+  const handleResizeMouseDown = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    const th = e.currentTarget.closest('th')
+    const table = th.closest('table')
+    // 大屏存在 CSS transform 缩放时，鼠标位移需换算回组件坐标
+    const scale = th.offsetWidth ? th.getBoundingClientRect().width / th.offsetWidth : 1
+    const leafIndexes = Array.from({ length: column.isLeaf ? 1 : column.colSpan }, (_, k) => column.leafColumnIndex + k)
+    const startWidths = leafIndexes.map((i) => {
+      const leafTh = table.querySelector(`th[data-leaf-index="${i}"]`)
+      return leafTh && leafTh.offsetWidth ? leafTh.offsetWidth : colWidths[i] || 100
+    })
+    onResizeStart({ column, leafIndexes, startWidths, startX: e.clientX, scale })
+  }
+
   return (
     <th
       className={`${css.headerCell} ${column.sortable ? css.sortable : ''} ${isLastLeft ? css.fixedLeftLast : ''} ${
         isFirstRight ? css.fixedRightFirst : ''
       } ${isFixedLeft ? css.headerFixedLeft : ''} ${isFixedRight ? css.headerFixedRight : ''} ${
         isLastColumn ? css.lastColumn : ''
-      } ${hasRenderConfig ? css.cellWithRender : ''}`}
+      } ${hasRenderConfig ? css.cellWithRender : ''} ${canResize ? css.resizableCell : ''}`}
       style={{
         textAlign: column.headerAlign || column.align || 'center',
         height: `${cellHeight}px`,
@@ -165,14 +216,37 @@ function HeaderCell({ column, rowHeight, sortState, onSort, leafColumns, fixedIn
       }}
       colSpan={column.colSpan > 1 ? column.colSpan : undefined}
       rowSpan={column.rowSpan > 1 ? column.rowSpan : undefined}
-      onClick={() => column.isLeaf && column.sortable && onSort(column)}
+      data-leaf-index={column.isLeaf ? column.leafColumnIndex : undefined}
+      role="columnheader"
+      aria-colindex={column.leafColumnIndex + 1}
+      aria-sort={ariaSort}
+      onMouseEnter={handleMouseEnter}
+      onMouseLeave={tooltip ? tooltip.hide : undefined}
+      onClick={(e) => {
+        // 拖拽列宽松开鼠标时不触发排序
+        if (isResizing && isResizing()) return
+        if (column.isLeaf && column.sortable) onSort(column, e.shiftKey)
+      }}
     >
       <div className={css.cellContent}>
-        <CellContentRenderer renderConfig={renderConfig}>
-          <HeaderContent column={column} />
+        {/* 勾选列：表头显示全选复选框 */}
+        {column.isSelectionColumn && selection && (
+          <Checkbox
+            checked={selection.checked}
+            indeterminate={selection.indeterminate}
+            disabled={selection.disabled}
+            onChange={selection.onToggleAll}
+          />
+        )}
+        <CellContentRenderer renderConfig={renderConfig} context={{ sanitize: headerCellSanitize }}>
+          <HeaderContent column={column} sanitizeHtml={sanitizeHtml} />
         </CellContentRenderer>
         {column.isLeaf && <SortIcon column={column} sortState={sortState} />}
+        {column.isLeaf && <FilterIcon column={column} filterState={filterState} onFilterClick={onFilterClick} />}
       </div>
+      {canResize && (
+        <span className={css.resizeHandle} onMouseDown={handleResizeMouseDown} onClick={(e) => e.stopPropagation()} />
+      )}
     </th>
   )
 }
@@ -182,9 +256,12 @@ function HeaderCell({ column, rowHeight, sortState, onSort, leafColumns, fixedIn
  * 支持横向滚动同步、列固定和多级表头
  */
 const TableHeader = forwardRef(function TableHeader(
-  { columns, colWidths, headerHeight, sortState, onSort, minWidth, fixedInfo, headerStyleFn, headerCellStyleFn, headerCellRenderFn, globalBorder, headerBorder },
+  { columns, colWidths, headerHeight, sortState, onSort, filterState, onFilterChange, selection, resizable, onResizeStart, isResizing, minWidth, fixedInfo, headerStyleFn, headerCellStyleFn, headerCellRenderFn, headerCellSanitize, sanitizeHtml, tooltip, globalBorder, headerBorder },
   ref
 ) {
+  // 当前打开的筛选面板 { column, position }
+  const [openFilter, setOpenFilter] = useState(null)
+
   // 计算叶子列（用于 colgroup）
   const leafColumns = useMemo(() => flattenColumns(columns), [columns])
 
@@ -230,28 +307,51 @@ const TableHeader = forwardRef(function TableHeader(
   // 计算表头整体自定义样式
   const getHeaderCustomStyle = () => {
     if (!headerStyleFn) return {}
-    try {
-      const result = headerStyleFn()
-      return result && typeof result === 'object' ? result : {}
-    } catch (e) {
-      console.error('表头整体样式脚本执行错误:', e)
-      return {}
-    }
+    const result = headerStyleFn()
+    return result && typeof result === 'object' ? result : {}
   }
 
   const headerCustomStyle = getHeaderCustomStyle()
 
+  /**
+   * 打开/关闭筛选面板
+   * 面板渲染在表格容器内，按表头单元格右下角定位
+   * 大屏存在 CSS transform 缩放时，getBoundingClientRect 需除以缩放比例换算回组件坐标
+   */
+  const handleFilterClick = useCallback((column, th) => {
+    const wrapper = th && th.closest(`.${css.tableWrapper}`)
+    if (!wrapper) return
+    const wrapperRect = wrapper.getBoundingClientRect()
+    const thRect = th.getBoundingClientRect()
+    const scale = wrapper.offsetWidth ? wrapperRect.width / wrapper.offsetWidth : 1
+    const right = (thRect.right - wrapperRect.left) / scale
+    const bottom = (thRect.bottom - wrapperRect.top) / scale
+    const maxLeft = Math.max(0, wrapper.offsetWidth - FILTER_PANEL_WIDTH)
+
+    setOpenFilter((prev) =>
+      prev && prev.column.prop === column.prop
+        ? null
+        : {
+            column,
+            position: { left: Math.min(Math.max(0, right - FILTER_PANEL_WIDTH), maxLeft), top: bottom },
+          }
+    )
+  }, [])
+
+  const closeFilter = useCallback(() => setOpenFilter(null), [])
+
   return (
+    <>
     <div
       ref={ref}
       className={`${css.tableHeader} ${borderDirectionClass}`}
       style={{ ...headerCustomStyle, ...borderVars }}
     >
-      <table className={css.table} style={{ minWidth }}>
+      <table className={css.table} style={{ minWidth }} role="presentation">
         <ColGroup leafColumns={leafColumns} colWidths={colWidths} />
-        <thead>
+        <thead role="rowgroup">
           {headerRows.map((row, rowIndex) => (
-            <tr key={rowIndex} className={css.headerRow}>
+            <tr key={rowIndex} className={css.headerRow} role="row" aria-rowindex={rowIndex + 1}>
               {row.map((column, cellIndex) => (
                 <HeaderCell
                   key={column.prop || `${rowIndex}-${cellIndex}`}
@@ -259,11 +359,21 @@ const TableHeader = forwardRef(function TableHeader(
                   rowHeight={rowHeight}
                   sortState={sortState}
                   onSort={onSort}
+                  filterState={filterState}
+                  onFilterClick={handleFilterClick}
+                  selection={selection}
+                  resizable={resizable}
+                  onResizeStart={onResizeStart}
+                  isResizing={isResizing}
+                  colWidths={colWidths}
                   leafColumns={leafColumns}
                   fixedInfo={fixedInfo}
                   leafStartIndex={column.leafColumnIndex}
                   headerCellStyleFn={headerCellStyleFn}
                   headerCellRenderFn={headerCellRenderFn}
+                  headerCellSanitize={headerCellSanitize}
+                  sanitizeHtml={sanitizeHtml}
+                  tooltip={tooltip}
                   columnIndex={cellIndex}
                   leafColumnIndex={column.leafColumnIndex}
                 />
@@ -273,6 +383,17 @@ const TableHeader = forwardRef(function TableHeader(
         </thead>
       </table>
     </div>
+    {openFilter && (
+      <FilterPanel
+        key={openFilter.column.prop}
+        column={openFilter.column}
+        values={filterState?.[openFilter.column.prop]}
+        position={openFilter.position}
+        onChange={(values) => onFilterChange && onFilterChange(openFilter.column, values)}
+        onClose={closeFilter}
+      />
+    )}
+    </>
   )
 })
 
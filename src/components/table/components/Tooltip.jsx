@@ -0,0 +1,135 @@
+import React, { useState, useLayoutEffect, useRef } from 'react'
+import { createPortal } from 'react-dom'
+import css from '../styles/index.module.css'
+import { renderElement } from './RenderElement'
+
+// 提示框与单元格的间距（组件坐标）
+const GAP = 8
+// 箭头与提示框边缘的最小距离（组件坐标）
+const ARROW_MARGIN = 10
+
+/**
+ * 计算提示框位置
+ * 大屏存在 CSS transform 缩放时，单元格的 getBoundingClientRect 为缩放后的视口坐标，
+ * 提示框按同样的比例缩放，使其大小与大屏内容一致
+ * @param {HTMLElement} target - 单元格元素
+ * @param {HTMLElement} popup - 提示框元素（未缩放）
+ * @param {string} placement - 期望位置 top / bottom / left / right
+ * @returns {Object} { left, top, scale, placement, arrowOffset }，left/top 为视口坐标，arrowOffset 为箭头相对提示框的偏移（组件坐标）
+ */
+function computePosition(target, popup, placement) {
+  const rect = target.getBoundingClientRect()
+  const scale = target.offsetWidth ? rect.width / target.offsetWidth : 1
+  const width = popup.offsetWidth * scale
+  const height = popup.offsetHeight * scale
+  const gap = GAP * scale
+  const viewWidth = window.innerWidth
+  const viewHeight = window.innerHeight
+
+  // 期望方向空间不足且对侧空间足够时翻转
+  let actual = placement
+  if (placement === 'top' && rect.top - height - gap < 0 && rect.bottom + height + gap <= viewHeight) actual = 'bottom'
+  if (placement === 'bottom' && rect.bottom + height + gap > viewHeight && rect.top - height - gap >= 0) actual = 'top'
+  if (placement === 'left' && rect.left - width - gap < 0 && rect.right + width + gap <= viewWidth) actual = 'right'
+  if (placement === 'right' && rect.right + width + gap > viewWidth && rect.left - width - gap >= 0) actual = 'left'
+
+  const vertical = actual === 'top' || actual === 'bottom'
+  let left
+  let top
+  if (vertical) {
+    left = rect.left + rect.width / 2 - width / 2
+    top = actual === 'top' ? rect.top - height - gap : rect.bottom + gap
+  } else {
+    left = actual === 'left' ? rect.left - width - gap : rect.right + gap
+    top = rect.top + rect.height / 2 - height / 2
+  }
+
+  // 限制在视口内，箭头仍指向单元格中心
+  left = Math.min(Math.max(0, left), Math.max(0, viewWidth - width))
+  top = Math.min(Math.max(0, top), Math.max(0, viewHeight - height))
+  const offset = vertical ? (rect.left + rect.width / 2 - left) / scale : (rect.top + rect.height / 2 - top) / scale
+  const size = vertical ? popup.offsetWidth : popup.offsetHeight
+  const arrowOffset = Math.min(Math.max(offset, ARROW_MARGIN), Math.max(ARROW_MARGIN, size - ARROW_MARGIN))
+
+  return { left, top, scale, placement: actual, arrowOffset }
+}
+
+/**
+ * 提示框内容
+ * @param {Object} props
+ * @param {Object} props.content - { html } / { elements } / { text }
+ * @param {Object} props.context - 元素上下文 { row, value, sanitize }
+ */
+function TooltipContent({ content, context }) {
+  if (content.html !== undefined) {
+    return <div dangerouslySetInnerHTML={{ __html: context.sanitize ? context.sanitize(content.html) : content.html }} />
+  }
+  if (content.elements) {
+    return content.elements.map((element, i) => <React.Fragment key={i}>{renderElement(element, context)}</React.Fragment>)
+  }
+  return content.text
+}
+
+/**
+ * 悬停提示框
+ * 渲染到 document.body，不受表格容器 overflow: hidden 裁剪；滚动时跟随单元格，单元格被移除时隐藏
+ * @param {Object} props
+ * @param {Object} props.tooltip - 当前提示框 { target, content, row, value }
+ * @param {Object} props.config - 提示框配置 { placement, bgColor, textColor, borderColor, fontSize, maxWidth, sanitize }
+ * @param {Object} props.handlers - { hide, keep }
+ */
+function Tooltip({ tooltip, config, handlers }) {
+  const popupRef = useRef(null)
+  const [position, setPosition] = useState(null)
+  const { target } = tooltip
+
+  // 先以不可见状态渲染以测量尺寸，再计算位置
+  useLayoutEffect(() => {
+    const update = () => {
+      if (!target.isConnected) {
+        handlers.hide()
+        return
+      }
+      setPosition(computePosition(target, popupRef.current, config.placement))
+    }
+    update()
+    // 表体滚动（含自动滚动）时跟随单元格
+    window.addEventListener('scroll', update, true)
+    window.addEventListener('resize', update)
+    return () => {
+      window.removeEventListener('scroll', update, true)
+      window.removeEventListener('resize', update)
+    }
+  }, [tooltip, target, config.placement, handlers])
+
+  if (typeof document === 'undefined') return null
+
+  const placement = position ? position.placement : config.placement
+
+  return createPortal(
+    <div
+      ref={popupRef}
+      className={`${css.tooltip} ${css[`tooltip${placement.charAt(0).toUpperCase()}${placement.slice(1)}`] || ''}`}
+      style={{
+        left: position ? `${position.left}px` : 0,
+        top: position ? `${position.top}px` : 0,
+        transform: position ? `scale(${position.scale})` : undefined,
+        visibility: position ? 'visible' : 'hidden',
+        maxWidth: `${config.maxWidth}px`,
+        '--tooltip-bg': config.bgColor,
+        '--tooltip-color': config.textColor,
+        '--tooltip-border-color': config.borderColor,
+        '--tooltip-font-size': `${config.fontSize}px`,
+        '--tooltip-arrow-offset': position ? `${position.arrowOffset}px` : '50%',
+      }}
+      onMouseEnter={handlers.keep}
+      onMouseLeave={handlers.hide}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <TooltipContent content={tooltip.content} context={{ row: tooltip.row, value: tooltip.value, sanitize: config.sanitize }} />
+    </div>,
+    document.body
+  )
+}
+
+export default Tooltip
@@ -1,4 +1,8 @@
 export { default as TableHeader } from './TableHeader'
 export { default as TableBody } from './TableBody'
+export { default as TableFooter } from './TableFooter'
 export { default as EmptyState } from './EmptyState'
+export { default as ExportButton } from './ExportButton'
+export { default as ScriptDiagnostics } from './ScriptDiagnostics'
+export { default as Tooltip } from './Tooltip'
 export { renderElement, PositionedElement, CellContentRenderer } from './RenderElement'
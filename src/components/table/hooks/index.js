@@ -1,6 +1,20 @@
 export { useTableConfig, parseBool } from './useTableConfig'
+export { useScriptEngine, useScriptContext } from './useScriptEngine'
 export { useTableSort } from './useTableSort'
+export { useTableFilter } from './useTableFilter'
 export { useAutoScroll } from './useAutoScroll'
+export { useSeamlessLoop } from './useSeamlessLoop'
+export { useRowCarousel } from './useRowCarousel'
 export { useTableEvents } from './useTableEvents'
 export { useExpandRow } from './useExpandRow'
 export { useTreeData } from './useTreeData'
+export { useTableSelection } from './useTableSelection'
+export { useVirtualRows } from './useVirtualRows'
+export { useCellSpans } from './useCellSpans'
+export { useColumnResize } from './useColumnResize'
+export { useCellEdit } from './useCellEdit'
+export { useTableActions } from './useTableActions'
+export { useDataChange } from './useDataChange'
+export { useStreamBuffer } from './useStreamBuffer'
+export { useTooltip } from './useTooltip'
+export { useKeyboardNav } from './useKeyboardNav'
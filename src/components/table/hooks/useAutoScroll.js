@@ -1,50 +1,227 @@
 import { useEffect, useRef } from 'react'
+import { getLoopHeight } from './useSeamlessLoop'
+
+// 暂停或内容未超出视口时，检查是否可以继续滚动的间隔(ms)
+const IDLE_CHECK_INTERVAL = 200
+
+// 缓动函数：t 为 0~1 的动画进度
+const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+}
+
+/**
+ * 获取表体各行的起始位置（按从上到下的顺序，含克隆行，不含展开行）
+ * @param {HTMLElement} container - 表体滚动容器
+ * @returns {Array<number>} 行起始位置
+ */
+function getRowOffsets(container) {
+  return Array.from(container.querySelectorAll('tr[data-row-index]:not([data-expand-row])'), (tr) => tr.offsetTop)
+}
+
+/**
+ * 获取滚动位置处的首个可见行及其范围
+ * @param {HTMLElement} container - 表体滚动容器
+ * @param {number} scrollTop - 滚动位置
+ * @returns {Object} { index, top, bottom }：index 为行在完整数据中的索引（未找到时为 -1），
+ *   滚动位置在 [top, bottom) 内时首个可见行不变
+ */
+function getTopRow(container, scrollTop) {
+  let index = -1
+  let top = -Infinity
+  for (const tr of container.querySelectorAll('tr[data-row-index]:not([data-expand-row])')) {
+    const offset = tr.offsetTop
+    if (offset > scrollTop + 1) return { index, top, bottom: offset - 1 }
+    index = Number(tr.getAttribute('data-row-index'))
+    top = offset - 1
+  }
+  return { index, top, bottom: Infinity }
+}
+
+/**
+ * 计算逐行/翻页模式下一步的滚动目标位置
+ * 翻页时以行边界对齐：向上翻页以被截断的行作为新一页的首行，向下翻页不截断顶部的行
+ * @param {HTMLElement} container - 表体滚动容器
+ * @param {number} current - 当前滚动位置
+ * @param {string} mode - 滚动模式 row | page
+ * @param {boolean} forward - 是否向上滚动（内容上移）
+ * @param {number} loopHeight - 无缝循环周期高度（未启用时为 0）
+ * @returns {number} 目标滚动位置
+ */
+function getStepTarget(container, current, mode, forward, loopHeight) {
+  const offsets = getRowOffsets(container)
+  const pageHeight = container.clientHeight
+  const maxScroll = container.scrollHeight - pageHeight
+
+  if (forward) {
+    // 已滚动到底部：回到顶部（无缝循环时克隆行紧随其后，不会到达底部）
+    if (loopHeight <= 0 && current >= maxScroll - 1) return 0
+    const nextOffsets = offsets.filter((offset) => offset > current + 1)
+    let target
+    if (mode === 'page') {
+      const inPage = nextOffsets.filter((offset) => offset <= current + pageHeight)
+      target = inPage.length > 0 ? inPage[inPage.length - 1] : current + pageHeight
+    } else {
+      target = nextOffsets.length > 0 ? nextOffsets[0] : maxScroll
+    }
+    return loopHeight > 0 ? Math.min(target, loopHeight) : Math.min(target, maxScroll)
+  }
+
+  // 已滚动到顶部：回到底部
+  if (current <= 1) return maxScroll
+  const prevOffsets = offsets.filter((offset) => offset < current - 1)
+  let target
+  if (mode === 'page') {
+    const inPage = prevOffsets.filter((offset) => offset >= current - pageHeight)
+    target = inPage.length > 0 ? inPage[0] : current - pageHeight
+  } else {
+    target = prevOffsets.length > 0 ? prevOffsets[prevOffsets.length - 1] : 0
+  }
+  return Math.max(target, 0)
+}
 
 /**
  * 自动滚动 Hook
- * 实现表格内容自动滚动功能
+ * 实现表格内容自动滚动功能，支持逐像素滚动、逐行滚动和翻页滚动
  * @param {Object} options - 滚动配置
  * @param {boolean} options.enabled - 是否启用自动滚动
- * @param {number} options.speed - 滚动速度(ms)
+ * @param {string} options.mode - 滚动模式：pixel 逐像素 | row 逐行 | page 翻页
+ * @param {string} options.direction - 滚动方向：up 内容向上滚动 | down 内容向下滚动
+ * @param {number} options.speed - 逐像素滚动速度(ms)
+ * @param {number} options.interval - 逐行/翻页模式每步的停留时间(ms)
+ * @param {number} options.duration - 逐行/翻页模式每步的过渡时长(ms)
+ * @param {string} options.easing - 过渡缓动：linear | easeIn | easeOut | easeInOut
  * @param {boolean} options.pauseOnHover - 鼠标悬停时暂停
+ * @param {boolean} options.seamless - 无缝循环（表体渲染了克隆行时，滚动到克隆行起点后回退一个周期）
+ * @param {Function} options.onStep - 滚动一步后的回调 (rowIndex, scrollTop) => void，逐像素模式在首个可见行变化时触发
+ * @param {boolean} options.paused - 外部暂停（如追加模式展示新记录期间），恢复后从当前滚动位置继续，不重新初始化
  * @param {Array} deps - 依赖数组，用于重新初始化滚动
  * @returns {Object} ref - 需要绑定到滚动容器的 ref
  */
 export function useAutoScroll(options, deps = []) {
-  const { enabled, speed, pauseOnHover } = options
+  const {
+    enabled,
+    mode = 'pixel',
+    direction = 'up',
+    speed,
+    interval = 3000,
+    duration = 500,
+    easing = 'easeInOut',
+    pauseOnHover,
+    seamless = false,
+    onStep,
+    paused = false,
+  } = options
   const containerRef = useRef(null)
   const animationRef = useRef(null)
+  const pausedRef = useRef(paused)
+  pausedRef.current = paused
+  // 回调随数据变化，通过 ref 读取最新值，避免重启滚动
+  const onStepRef = useRef(onStep)
+  onStepRef.current = onStep
 
   useEffect(() => {
     if (!enabled || !containerRef.current) return
 
     const container = containerRef.current
-    const contentHeight = container.scrollHeight
-    const viewHeight = container.clientHeight
 
-    // 内容未超出视口，无需滚动
-    if (contentHeight <= viewHeight) return
+    // 暂停或内容未超出视口时低频检查，数据追加、展开行等使内容变高后再开始滚动
+    const isIdle = () => isPaused || pausedRef.current || container.scrollHeight <= container.clientHeight
 
+    const forward = direction !== 'down'
+    const ease = EASINGS[easing] || EASINGS.easeInOut
     let isPaused = false
-    let currentScroll = 0
+    let lastRowIndex = -1
+    // 当前首个可见行及其范围
+    let topRow = null
+
+    // 通知首个可见行（逐像素模式下仅在首行变化时通知）
+    const notify = (scrollTop) => {
+      // 逐像素模式下滚动位置未越过首行的边界时不重新查找
+      if (mode === 'pixel' && topRow && scrollTop >= topRow.top && scrollTop < topRow.bottom) return
+      topRow = getTopRow(container, scrollTop)
+      const rowIndex = topRow.index
+      if (mode === 'pixel' && rowIndex === lastRowIndex) return
+      lastRowIndex = rowIndex
+      if (onStepRef.current && rowIndex !== -1) {
+        onStepRef.current(rowIndex, scrollTop)
+      }
+    }
+
+    // 向下滚动时从底部开始（无缝循环时从顶部开始，第一步先回退一个周期）
+    let currentScroll = forward || seamless ? 0 : container.scrollHeight - container.clientHeight
+    container.scrollTop = currentScroll
 
     const scroll = () => {
-      if (isPaused) {
-        animationRef.current = requestAnimationFrame(scroll)
+      if (isIdle()) {
+        // 暂停期间滚动位置可能被外部改变（如展示新记录），恢复后从当前位置继续
+        currentScroll = container.scrollTop
+        animationRef.current = setTimeout(scroll, IDLE_CHECK_INTERVAL)
         return
       }
 
-      currentScroll += 1
-      if (currentScroll >= contentHeight - viewHeight) {
+      // 每次读取实时高度：虚拟滚动测量行高、展开行变化都会改变内容高度
+      const loopHeight = seamless ? getLoopHeight(container) : 0
+      const maxScroll = container.scrollHeight - container.clientHeight
+      currentScroll += forward ? 1 : -1
+      if (loopHeight > 0) {
+        // 克隆行与原始行完全一致，前进或回退一个周期后画面不变，实现无缝衔接
+        if (currentScroll >= loopHeight) {
+          currentScroll -= loopHeight
+        } else if (currentScroll < 0) {
+          currentScroll += loopHeight
+        }
+      } else if (forward && currentScroll >= maxScroll) {
         currentScroll = 0
+      } else if (!forward && (currentScroll <= 0 || currentScroll > maxScroll)) {
+        // 内容高度变小时从新的底部继续
+        currentScroll = maxScroll
       }
       container.scrollTop = currentScroll
+      notify(currentScroll)
 
       animationRef.current = setTimeout(() => {
-        requestAnimationFrame(scroll)
+        animationRef.current = requestAnimationFrame(scroll)
       }, speed)
     }
 
+    // 逐行/翻页：缓动过渡到下一步，停留 interval 后继续
+    const step = () => {
+      if (isIdle()) {
+        animationRef.current = setTimeout(step, IDLE_CHECK_INTERVAL)
+        return
+      }
+
+      const loopHeight = seamless ? getLoopHeight(container) : 0
+      let from = container.scrollTop
+      // 无缝循环向下滚动到顶部时，先无感跳到克隆区域的相同位置
+      if (loopHeight > 0 && !forward && from <= 1) {
+        from += loopHeight
+        container.scrollTop = from
+      }
+      const to = getStepTarget(container, from, mode, forward, loopHeight)
+      const startTime = performance.now()
+
+      const animate = () => {
+        const progress = duration > 0 ? Math.min(1, (performance.now() - startTime) / duration) : 1
+        container.scrollTop = from + (to - from) * ease(progress)
+        if (progress < 1) {
+          animationRef.current = requestAnimationFrame(animate)
+          return
+        }
+        let position = to
+        if (loopHeight > 0 && position >= loopHeight) {
+          position -= loopHeight
+        }
+        container.scrollTop = position
+        notify(position)
+        animationRef.current = setTimeout(step, interval)
+      }
+      animationRef.current = requestAnimationFrame(animate)
+    }
+
     const handleMouseEnter = () => {
       if (pauseOnHover) isPaused = true
     }
@@ -55,7 +232,12 @@ export function useAutoScroll(options, deps = []) {
 
     container.addEventListener('mouseenter', handleMouseEnter)
     container.addEventListener('mouseleave', handleMouseLeave)
-    animationRef.current = requestAnimationFrame(scroll)
+    if (mode === 'row' || mode === 'page') {
+      // 先停留展示当前内容
+      animationRef.current = setTimeout(step, interval)
+    } else {
+      animationRef.current = requestAnimationFrame(scroll)
+    }
 
     return () => {
       if (animationRef.current) {
@@ -65,7 +247,7 @@ export function useAutoScroll(options, deps = []) {
       container.removeEventListener('mouseenter', handleMouseEnter)
       container.removeEventListener('mouseleave', handleMouseLeave)
     }
-  }, [enabled, speed, pauseOnHover, ...deps])
+  }, [enabled, mode, direction, speed, interval, duration, easing, pauseOnHover, seamless, ...deps])
 
   return containerRef
 }
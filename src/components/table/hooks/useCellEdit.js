@@ -0,0 +1,174 @@
+import { useState, useMemo, useCallback } from 'react'
+import { getRowKey } from '../utils'
+
+/**
+ * 将本地修改应用到数据上
+ * 行标识与表体一致：普通模式回退为行索引，树形模式回退为「父节点ID-同级索引」
+ * @param {Array} data - 原始数据
+ * @param {Map} edits - 本地修改 rowKey -> { prop: value }
+ * @param {Object} treeConfig - 树形配置
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @returns {Array} 应用修改后的数据（未修改的行保持原对象）
+ */
+function applyEdits(data, edits, treeConfig, rowKey) {
+  const isTree = Boolean(treeConfig?.enabled)
+
+  const walk = (rows, parentKey) =>
+    rows.map((row, i) => {
+      const key = getRowKey(row, rowKey, isTree ? `${parentKey}-${i}` : i)
+      const rowEdits = edits.get(key)
+      let next = rowEdits ? { ...row, ...rowEdits } : row
+
+      const children = isTree ? row[treeConfig.childrenField] : null
+      if (Array.isArray(children) && children.length > 0) {
+        const nextChildren = walk(children, key)
+        if (nextChildren.some((child, j) => child !== children[j])) {
+          next = { ...next, [treeConfig.childrenField]: nextChildren }
+        }
+      }
+      return next
+    })
+
+  return walk(data, null)
+}
+
+/**
+ * 解析编辑器输入值
+ * @param {*} value - 编辑器中的值
+ * @param {Object} column - 列配置
+ * @returns {Object} { value, error }
+ */
+function parseEditorValue(value, column) {
+  if (column.editor !== 'number') return { value }
+  if (value === '' || value === null || value === undefined) return { value: null }
+  const number = Number(value)
+  return Number.isFinite(number) ? { value: number } : { value, error: '请输入数字' }
+}
+
+/**
+ * 解析列的校验函数
+ * validator 可以是函数，也可以是脚本字符串（函数体），参数为 (value, row, column, oldValue)
+ * @param {Object} column - 列配置
+ * @param {Object} [scriptEngine] - 脚本引擎（编译脚本字符串形式的 validator）
+ * @returns {Function|null} 校验函数，未配置或脚本编译失败时返回 null
+ */
+function getColumnValidator(column, scriptEngine) {
+  const { validator, prop } = column
+  if (typeof validator === 'function') return validator
+  if (scriptEngine && typeof validator === 'string') {
+    // 校验脚本出错时不允许提交
+    return scriptEngine.compile(`columns.${prop}.validator`, validator, ['value', 'row', 'column', 'oldValue'], {
+      label: '单元格校验脚本',
+      fallback: '校验脚本执行错误',
+      meta: () => ({ column: prop }),
+    })
+  }
+  return null
+}
+
+/**
+ * 单元格编辑 Hook
+ * 双击可编辑列的单元格打开编辑器，校验通过后写入本地修改并触发事件
+ * 本地修改按 rowKey 记录并叠加在数据源之上，数据源刷新后自动清空
+ * @param {Object} options - 编辑配置
+ * @param {Function} options.validatorFn - 全局校验脚本 (value, row, column, oldValue) => true | false | string
+ * @param {Object} options.scriptEngine - 脚本引擎（编译列配置中脚本字符串形式的 validator）
+ * @param {Array} data - 数据源
+ * @param {Object} treeConfig - 树形配置
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @param {Function} onCellEdit - 修改提交回调 (row, prop, oldValue, newValue, rowIndex) => void
+ * @returns {Object} 编辑状态和方法
+ */
+export function useCellEdit({ validatorFn, scriptEngine }, data, treeConfig, rowKey, onCellEdit) {
+  // 本地修改与其对应的数据源：数据源变化后旧的修改不再生效
+  const [overlay, setOverlay] = useState(() => ({ data, edits: new Map() }))
+  // 正在编辑的单元格 { key, prop }
+  const [editingCell, setEditingCell] = useState(null)
+
+  const edits = overlay.data === data ? overlay.edits : null
+
+  // 应用本地修改后的数据
+  const editedData = useMemo(() => {
+    if (!Array.isArray(data) || !edits || edits.size === 0) return data
+    return applyEdits(data, edits, treeConfig, rowKey)
+  }, [data, edits, treeConfig, rowKey])
+
+  /**
+   * 打开编辑器
+   * @param {any} key - 行标识
+   * @param {Object} column - 列配置
+   */
+  const startEdit = useCallback((key, column) => {
+    if (!column.editable || !column.prop) return
+    setEditingCell({ key, prop: column.prop })
+  }, [])
+
+  // 关闭编辑器（放弃修改）
+  const cancelEdit = useCallback(() => {
+    setEditingCell(null)
+  }, [])
+
+  /**
+   * 提交修改：先转换类型并校验，校验不通过时返回错误信息且不关闭编辑器
+   * @param {Object} row - 行数据
+   * @param {Object} column - 列配置
+   * @param {number} rowIndex - 行索引
+   * @param {any} key - 行标识
+   * @param {*} inputValue - 编辑器中的值
+   * @returns {string|null} 错误信息，校验通过时返回 null
+   */
+  const commitEdit = useCallback(
+    (row, column, rowIndex, key, inputValue) => {
+      const { prop } = column
+      const oldValue = row[prop]
+      const parsed = parseEditorValue(inputValue, column)
+      if (parsed.error) return parsed.error
+      const newValue = parsed.value
+
+      // 列配置的 validator 优先于全局校验脚本
+      const validator = getColumnValidator(column, scriptEngine) || validatorFn
+      if (validator) {
+        let result
+        try {
+          result = validator(newValue, row, column, oldValue)
+        } catch (e) {
+          console.error('单元格校验脚本执行错误:', e)
+          return e.message || '校验失败'
+        }
+        if (result === false) return '输入不合法'
+        if (typeof result === 'string' && result !== '') return result
+      }
+
+      setEditingCell(null)
+      if (Object.is(oldValue, newValue)) return null
+
+      // 普通模式下行数据没有标识字段时，表体使用的是排序筛选后的索引，需换算为数据源中的索引
+      const editKey =
+        !treeConfig?.enabled && getRowKey(row, rowKey, null) === null && Array.isArray(editedData)
+          ? editedData.indexOf(row)
+          : key
+      if (editKey === -1) return null
+
+      setOverlay((prev) => {
+        const nextEdits = new Map(prev.data === data ? prev.edits : [])
+        nextEdits.set(editKey, { ...nextEdits.get(editKey), [prop]: newValue })
+        return { data, edits: nextEdits }
+      })
+      if (onCellEdit) {
+        onCellEdit({ ...row, [prop]: newValue }, prop, oldValue, newValue, rowIndex)
+      }
+      return null
+    },
+    [data, editedData, treeConfig, rowKey, validatorFn, scriptEngine, onCellEdit]
+  )
+
+  return {
+    editedData,
+    editingCell,
+    startEdit,
+    cancelEdit,
+    commitEdit,
+  }
+}
+
+export default useCellEdit
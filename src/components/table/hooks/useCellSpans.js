@@ -0,0 +1,124 @@
+import { useMemo } from 'react'
+
+/**
+ * 标准化合并结果
+ * 支持 { rowspan, colspan } 对象或 [rowspan, colspan] 数组，无效时视为不合并
+ * @param {*} result - spanMethod 返回值
+ * @returns {Object} { rowspan, colspan }
+ */
+function normalizeSpan(result) {
+  let rowspan = 1
+  let colspan = 1
+  if (Array.isArray(result)) {
+    rowspan = result[0]
+    colspan = result[1]
+  } else if (result && typeof result === 'object') {
+    rowspan = result.rowspan
+    colspan = result.colspan
+  }
+  rowspan = Number.isFinite(Number(rowspan)) ? Math.max(0, Math.floor(Number(rowspan))) : 1
+  colspan = Number.isFinite(Number(colspan)) ? Math.max(0, Math.floor(Number(colspan))) : 1
+  return { rowspan, colspan }
+}
+
+/**
+ * 计算完整数据的合并布局
+ * 合并起点单元格覆盖的其余单元格自动跳过，无需脚本显式返回 [0, 0]
+ * @param {Function} spanMethodFn - 合并脚本 (row, column, rowIndex, columnIndex, data) => span
+ * @param {Array} data - 表格数据
+ * @param {Array} columns - 叶子列配置
+ * @returns {Array} 每行每列的布局：{ rowspan, colspan } 为起点，{ origin: [r, c] } 为被覆盖，null 为显式隐藏
+ */
+function computeSpanLayout(spanMethodFn, data, columns) {
+  const rowCount = data.length
+  const colCount = columns.length
+  const layout = data.map(() => new Array(colCount).fill(undefined))
+
+  for (let r = 0; r < rowCount; r++) {
+    for (let c = 0; c < colCount; c++) {
+      // 已被前面的合并单元格覆盖
+      if (layout[r][c] !== undefined) continue
+
+      // 脚本出错时返回 undefined，按不合并处理
+      const span = normalizeSpan(spanMethodFn(data[r], columns[c], r, c, data))
+
+      if (span.rowspan === 0 || span.colspan === 0) {
+        layout[r][c] = null
+        continue
+      }
+
+      // 合并范围不超出表格边界
+      const rowspan = Math.min(span.rowspan, rowCount - r)
+      const colspan = Math.min(span.colspan, colCount - c)
+      layout[r][c] = { rowspan, colspan }
+      for (let i = r; i < r + rowspan; i++) {
+        for (let j = c; j < c + colspan; j++) {
+          if (i === r && j === c) continue
+          layout[i][j] = { origin: [r, c] }
+        }
+      }
+    }
+  }
+  return layout
+}
+
+/**
+ * 单元格合并 Hook
+ * 根据 spanMethod 计算表体单元格的 rowSpan/colSpan，返回可视区域内各行的渲染信息
+ * 合并区域在虚拟滚动的渲染边界和展开行处断开，断开后的剩余部分由区域内第一行重新渲染
+ * @param {Function} spanMethodFn - 合并脚本 (row, column, rowIndex, columnIndex, data) => { rowspan, colspan } | [rowspan, colspan]
+ * @param {Array} data - 表格数据（最终渲染的数据）
+ * @param {Array} columns - 叶子列配置
+ * @param {Object} options - 渲染信息
+ * @param {number} options.start - 渲染起始行索引
+ * @param {number} options.end - 渲染结束行索引（不含）
+ * @param {Set} options.expandedRows - 展开行的 key 集合
+ * @param {Function} options.getKey - 获取行标识 (row, rowIndex) => key
+ * @returns {Map|null} rowIndex -> 每列的渲染信息数组；元素为 null 表示普通单元格，
+ *   { hidden: true } 表示被合并跳过，{ rowSpan, colSpan, lastRowIndex } 表示合并单元格
+ */
+export function useCellSpans(spanMethodFn, data, columns, { start, end, expandedRows, getKey }) {
+  // 完整数据的合并布局（只在数据、列或脚本变化时重新计算）
+  const layout = useMemo(() => {
+    if (!spanMethodFn || !Array.isArray(data) || data.length === 0) return null
+    return computeSpanLayout(spanMethodFn, data, columns)
+  }, [spanMethodFn, data, columns])
+
+  return useMemo(() => {
+    if (!layout) return null
+
+    const rangeEnd = Math.min(end, data.length)
+    // 合并区域在展开行之后断开（展开内容占据整行）
+    const isBreakAfter = (r) => Boolean(expandedRows && expandedRows.size > 0 && expandedRows.has(getKey(data[r], r)))
+    // 从 r 开始的合并区域在可视区域内的最后一行
+    const getSegmentEnd = (r, lastRow) => {
+      let i = r
+      while (i < lastRow && i < rangeEnd - 1 && !isBreakAfter(i)) i++
+      return i
+    }
+
+    const result = new Map()
+    for (let r = start; r < rangeEnd; r++) {
+      const isSegmentStart = r === start || isBreakAfter(r - 1)
+      const cells = layout[r].map((cell, c) => {
+        if (cell === null) return { hidden: true }
+        if (cell.origin) {
+          const [originRow, originCol] = cell.origin
+          const origin = layout[originRow][originCol]
+          // 同一行内被横向合并，或合并区域未断开
+          if (originRow === r || c !== originCol || !isSegmentStart) return { hidden: true }
+          // 合并区域断开后，由当前行重新渲染剩余部分
+          const lastRowIndex = getSegmentEnd(r, originRow + origin.rowspan - 1)
+          return { rowSpan: lastRowIndex - r + 1, colSpan: origin.colspan, lastRowIndex }
+        }
+        if (cell.rowspan === 1 && cell.colspan === 1) return null
+        const lastRowIndex = getSegmentEnd(r, r + cell.rowspan - 1)
+        return { rowSpan: lastRowIndex - r + 1, colSpan: cell.colspan, lastRowIndex }
+      })
+      result.set(r, cells)
+    }
+    return result
+  }, [layout, data, start, end, expandedRows, getKey])
+}
+
+export default useCellSpans
@@ -0,0 +1,134 @@
+import { useState, useMemo, useCallback, useRef, useEffect } from 'react'
+
+// 拖拽调整时列的最小宽度（未配置 minWidth 时）
+const MIN_COLUMN_WIDTH = 40
+
+/**
+ * 获取列宽记录的键：优先使用 prop，数据刷新后拖拽结果仍然保留
+ * @param {Object} column - 列配置
+ * @param {number} index - 叶子列索引
+ * @returns {string} 列宽键
+ */
+function getColumnKey(column, index) {
+  return column.prop || `__col_${index}__`
+}
+
+/**
+ * 列宽拖拽调整 Hook
+ * 在配置列宽的基础上记录用户拖拽后的列宽，多级表头拖拽分组时按比例分配给其下的叶子列
+ * @param {Array} columns - 叶子列配置
+ * @param {Array} baseWidths - 配置的列宽（calculateColumnWidths 结果）
+ * @param {Function} onResizeEnd - 拖拽结束回调 (column, width, widths) => void
+ * @returns {Object} { colWidths, startResize, isResizing }
+ */
+export function useColumnResize(columns, baseWidths, onResizeEnd) {
+  // 拖拽后的列宽：columnKey -> width
+  const [resizedWidths, setResizedWidths] = useState({})
+  // 拖拽状态（拖拽结束后保留到本次点击事件之后，避免松开鼠标时触发排序）
+  const resizingRef = useRef(false)
+  // 移除事件监听的清理函数
+  const cleanupRef = useRef(null)
+
+  // 生效的列宽：拖拽过的列以拖拽结果为准
+  const colWidths = useMemo(
+    () =>
+      columns.map((col, i) => {
+        const key = getColumnKey(col, i)
+        return key in resizedWidths ? resizedWidths[key] : baseWidths[i]
+      }),
+    [columns, baseWidths, resizedWidths]
+  )
+
+  /**
+   * 开始拖拽
+   * @param {Object} options
+   * @param {Object} options.column - 被拖拽的表头列（叶子列或分组列）
+   * @param {Array} options.leafIndexes - 受影响的叶子列索引
+   * @param {Array} options.startWidths - 拖拽开始时各叶子列的实际宽度
+   * @param {number} options.startX - 拖拽开始时的鼠标位置
+   * @param {number} options.scale - 大屏缩放比例（鼠标位移需除以该比例）
+   */
+  const startResize = useCallback(
+    ({ column, leafIndexes, startWidths, startX, scale = 1 }) => {
+      if (cleanupRef.current) cleanupRef.current()
+
+      const minWidths = leafIndexes.map((i) => Math.max(MIN_COLUMN_WIDTH, parseInt(columns[i].minWidth) || 0))
+      const totalWidth = startWidths.reduce((sum, w) => sum + w, 0)
+      let latestWidths = {}
+
+      // 按鼠标位移计算新列宽，分组列按各叶子列原宽度比例分配
+      const applyWidths = (clientX) => {
+        const delta = (clientX - startX) / (scale || 1)
+        const next = {}
+        leafIndexes.forEach((leafIndex, k) => {
+          const ratio = totalWidth ? startWidths[k] / totalWidth : 1 / leafIndexes.length
+          next[getColumnKey(columns[leafIndex], leafIndex)] = Math.max(
+            minWidths[k],
+            Math.round(startWidths[k] + delta * ratio)
+          )
+        })
+        latestWidths = next
+        setResizedWidths((prev) => ({ ...prev, ...next }))
+      }
+
+      const handleMouseMove = (e) => {
+        e.preventDefault()
+        applyWidths(e.clientX)
+      }
+
+      const cleanup = () => {
+        document.removeEventListener('mousemove', handleMouseMove)
+        document.removeEventListener('mouseup', handleMouseUp)
+        document.body.style.cursor = ''
+        document.body.style.userSelect = ''
+        cleanupRef.current = null
+      }
+
+      const handleMouseUp = (e) => {
+        applyWidths(e.clientX)
+        cleanup()
+        setTimeout(() => {
+          resizingRef.current = false
+        }, 0)
+
+        if (onResizeEnd) {
+          // 汇总所有叶子列的列宽（自动宽度的列不包含在内）
+          const widths = {}
+          columns.forEach((col, i) => {
+            const key = getColumnKey(col, i)
+            const width = key in latestWidths ? latestWidths[key] : colWidths[i]
+            if (width) widths[key] = width
+          })
+          const width = Object.values(latestWidths).reduce((sum, w) => sum + w, 0)
+          onResizeEnd(column, width, widths)
+        }
+      }
+
+      resizingRef.current = true
+      document.body.style.cursor = 'col-resize'
+      document.body.style.userSelect = 'none'
+      document.addEventListener('mousemove', handleMouseMove)
+      document.addEventListener('mouseup', handleMouseUp)
+      cleanupRef.current = cleanup
+    },
+    [columns, colWidths, onResizeEnd]
+  )
+
+  // 是否正在拖拽（供表头点击排序时判断）
+  const isResizing = useCallback(() => resizingRef.current, [])
+
+  // 卸载时移除事件监听
+  useEffect(() => {
+    return () => {
+      if (cleanupRef.current) cleanupRef.current()
+    }
+  }, [])
+
+  return {
+    colWidths,
+    startResize,
+    isResizing,
+  }
+}
+
+export default useColumnResize
@@ -0,0 +1,193 @@
+import { useState, useRef, useLayoutEffect } from 'react'
+import { getRowKey } from '../utils'
+
+// 无变化时的高亮状态
+const EMPTY_CHANGES = { version: 0, cells: new Map(), addedKeys: new Set(), removedRows: [] }
+
+/**
+ * 收集数据中所有行，按行标识索引
+ * 树形模式下递归收集子节点；没有行标识的行不参与比较：
+ * 表体对这类行按显示位置（排序、筛选后）生成标识，与数据源中的位置不一致，插入一行也会使其后所有行错位
+ * @param {Array} data - 数据源数据
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @param {Object} treeConfig - 树形配置
+ * @returns {Map} 行标识 -> 行数据
+ */
+function collectRows(data, rowKey, treeConfig) {
+  const rows = new Map()
+  const childrenField = treeConfig?.enabled ? treeConfig.childrenField : null
+
+  const walk = (nodes) => {
+    nodes.forEach((row) => {
+      if (!row || typeof row !== 'object') return
+      const key = getRowKey(row, rowKey, null)
+      if (key !== null) rows.set(key, row)
+      if (childrenField && Array.isArray(row[childrenField])) {
+        walk(row[childrenField])
+      }
+    })
+  }
+
+  if (Array.isArray(data)) walk(data)
+  return rows
+}
+
+/**
+ * 判断两个值是否相同（对象、数组按内容比较）
+ * @param {*} a - 旧值
+ * @param {*} b - 新值
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a === b) return true
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    try {
+      return JSON.stringify(a) === JSON.stringify(b)
+    } catch (e) {
+      return false
+    }
+  }
+  return false
+}
+
+/**
+ * 转换为数字，无法转换时返回 null
+ * @param {*} value - 原始值
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : null
+  }
+  return null
+}
+
+/**
+ * 比较同一行的新旧数据
+ * @param {Object} prevRow - 旧行数据
+ * @param {Object} nextRow - 新行数据
+ * @param {Set} ignoreFields - 不参与比较的字段
+ * @returns {Array} 变化的字段 [{ prop, oldValue, newValue, direction }]，direction 为 up / down / change
+ */
+function diffRow(prevRow, nextRow, ignoreFields) {
+  const changes = []
+  const props = new Set([...Object.keys(prevRow), ...Object.keys(nextRow)])
+  props.forEach((prop) => {
+    // 内部字段（如树形元数据）和忽略字段不比较
+    if (prop.startsWith('__') || ignoreFields.has(prop)) return
+    const oldValue = prevRow[prop]
+    const newValue = nextRow[prop]
+    if (isSameValue(oldValue, newValue)) return
+
+    const oldNumber = toNumber(oldValue)
+    const newNumber = toNumber(newValue)
+    let direction = 'change'
+    if (oldNumber !== null && newNumber !== null && oldNumber !== newNumber) {
+      direction = newNumber > oldNumber ? 'up' : 'down'
+    }
+    changes.push({ prop, oldValue, newValue, direction })
+  })
+  return changes
+}
+
+/**
+ * 数据变化高亮 Hook
+ * 数据源刷新时按行标识与上一份数据比较，得到新增、删除和修改的行：
+ * - 每次刷新都通过 onDataChange 通知变化摘要（首次加载不通知）
+ * - 启用高亮时返回变化的单元格、新增行和被删除的行，供表体在 duration 内播放闪烁和行动画
+ * @param {Object} options - 高亮配置 { enabled, duration, rowAnimation, ignoreFields }
+ * @param {Array} data - 数据源数据
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @param {Object} treeConfig - 树形配置
+ * @param {Array} displayData - 当前显示的行（排序、筛选、树形展开后），用于确定被删除行的原位置
+ * @param {Function} getKey - 获取显示行标识 (row, rowIndex) => key
+ * @param {Function} onDataChange - 变化回调 ({ added, removed, modified }) => void
+ * @returns {Object} 高亮状态 { version, cells, addedKeys, removedRows }
+ *   cells: 行标识 -> Map(字段 -> up / down / change)；removedRows: [{ key, row, index }]，index 为删除前的显示位置
+ */
+export function useDataChange(options, data, rowKey, treeConfig, displayData, getKey, onDataChange) {
+  const { enabled, duration, rowAnimation, ignoreFields } = options
+
+  const [changes, setChanges] = useState(EMPTY_CHANGES)
+  // 上一份数据：行标识 -> 行数据
+  const snapshotRef = useRef(null)
+  // 上一次渲染时显示的行标识（按显示顺序）
+  const displayKeysRef = useRef([])
+  const timerRef = useRef(null)
+  // 回调可能每次渲染都变化，通过 ref 读取最新值，避免重复比较
+  const onDataChangeRef = useRef(onDataChange)
+  onDataChangeRef.current = onDataChange
+
+  // 数据源变化时比较新旧数据（布局阶段执行，新增行的入场动画不会先闪现一帧）
+  useLayoutEffect(() => {
+    const prevRows = snapshotRef.current
+    const nextRows = collectRows(data, rowKey, treeConfig)
+    snapshotRef.current = nextRows
+    if (!prevRows) return
+
+    const ignored = new Set(ignoreFields || [])
+    const added = []
+    const removed = []
+    const modified = []
+    const cells = new Map()
+
+    nextRows.forEach((row, key) => {
+      if (!prevRows.has(key)) {
+        added.push({ key, row })
+        return
+      }
+      const rowChanges = diffRow(prevRows.get(key), row, ignored)
+      if (rowChanges.length > 0) {
+        modified.push({ key, row, changes: rowChanges.map(({ prop, oldValue, newValue }) => ({ prop, oldValue, newValue })) })
+        cells.set(key, new Map(rowChanges.map(({ prop, direction }) => [prop, direction])))
+      }
+    })
+    prevRows.forEach((row, key) => {
+      if (!nextRows.has(key)) removed.push({ key, row })
+    })
+
+    onDataChangeRef.current?.({
+      added: added.map((item) => item.row),
+      removed: removed.map((item) => item.row),
+      modified,
+    })
+
+    if (!enabled || (added.length === 0 && removed.length === 0 && modified.length === 0)) return
+
+    // 被删除的行只在删除前可见时保留原位置淡出
+    const displayKeys = displayKeysRef.current
+    const removedRows = rowAnimation
+      ? removed
+          .map(({ key, row }) => ({ key, row, index: displayKeys.indexOf(key) }))
+          .filter((item) => item.index !== -1)
+      : []
+
+    setChanges((prev) => ({
+      version: prev.version + 1,
+      cells,
+      addedKeys: rowAnimation ? new Set(added.map((item) => item.key)) : new Set(),
+      removedRows,
+    }))
+
+    // 动画结束后清空高亮状态；连续刷新时以最后一次为准
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(() => {
+      setChanges((prev) => ({ ...EMPTY_CHANGES, version: prev.version }))
+    }, duration)
+    // 只在数据源变化时比较，配置变化不重新比较
+  }, [data])
+
+  // 记录本次显示的行标识（在比较之后执行，比较时读取的是刷新前的显示顺序）
+  useLayoutEffect(() => {
+    displayKeysRef.current = displayData.map((row, i) => getKey(row, i))
+  }, [displayData, getKey])
+
+  // 卸载时清除定时器
+  useLayoutEffect(() => () => clearTimeout(timerRef.current), [])
+
+  return changes
+}
+
+export default useDataChange
@@ -1,40 +1,56 @@
-import { useState, useCallback, useEffect, useMemo } from 'react'
+import { useState, useCallback, useEffect, useRef } from 'react'
 
 /**
  * 展开行状态管理 Hook
+ * 展开状态以行唯一标识（rowKey）为键，排序、数据刷新后仍跟随原记录
  * @param {Object} expandConfig - 展开行配置
  * @param {Array} data - 表格数据
+ * @param {Function} getKey - 获取行唯一标识的函数 (row, rowIndex) => key
  * @returns {Object} 展开行状态和操作方法
  */
-export function useExpandRow(expandConfig, data) {
+export function useExpandRow(expandConfig, data, getKey) {
   const { enabled, accordion, defaultExpandAll } = expandConfig
 
-  // 存储展开行的索引集合
-  const [expandedRows, setExpandedRows] = useState(() => {
-    if (!enabled || !defaultExpandAll || !data) return new Set()
-    // 默认全部展开：将所有行索引添加到 Set 中
-    return new Set(data.map((_, index) => index))
-  })
+  // 存储展开行的 rowKey 集合
+  const [expandedRows, setExpandedRows] = useState(() => new Set())
 
-  // 当 defaultExpandAll 或 data 变化时，重新初始化展开状态
+  // 上一次数据中的 rowKey 集合，用于识别新增行
+  const prevKeysRef = useRef(null)
+
+  // 启用状态或默认展开配置变化时，重新初始化展开状态
+  useEffect(() => {
+    prevKeysRef.current = null
+    setExpandedRows(new Set())
+  }, [enabled, defaultExpandAll])
+
+  // 数据变化时：移除已不存在的行；默认全部展开时，新出现的行也展开
   useEffect(() => {
-    if (!enabled) {
-      setExpandedRows(new Set())
-      return
-    }
-    if (defaultExpandAll && data) {
-      setExpandedRows(new Set(data.map((_, index) => index)))
-    } else {
-      setExpandedRows(new Set())
-    }
-  }, [enabled, defaultExpandAll, data])
+    if (!enabled || !data) return
+
+    const currentKeys = new Set(data.map((row, index) => getKey(row, index)))
+    const prevKeys = prevKeysRef.current
+    prevKeysRef.current = currentKeys
+
+    setExpandedRows((prev) => {
+      const newSet = new Set()
+      prev.forEach((key) => {
+        if (currentKeys.has(key)) newSet.add(key)
+      })
+      if (defaultExpandAll) {
+        currentKeys.forEach((key) => {
+          if (!prevKeys || !prevKeys.has(key)) newSet.add(key)
+        })
+      }
+      return newSet.size === prev.size && [...newSet].every((key) => prev.has(key)) ? prev : newSet
+    })
+  }, [enabled, defaultExpandAll, data, getKey])
 
   /**
    * 切换行展开状态
-   * @param {number} rowIndex - 行索引
+   * @param {string|number} rowKey - 行唯一标识
    */
   const toggleRowExpand = useCallback(
-    (rowIndex) => {
+    (rowKey) => {
       if (!enabled) return
 
       setExpandedRows((prev) => {
@@ -42,20 +58,20 @@ export function useExpandRow(expandConfig, data) {
 
         if (accordion) {
           // 手风琴模式：关闭所有其他行，只保留当前行
-          if (newSet.has(rowIndex)) {
+          if (newSet.has(rowKey)) {
             // 如果当前行已展开，则收起
             newSet.clear()
           } else {
             // 否则收起所有行，展开当前行
             newSet.clear()
-            newSet.add(rowIndex)
+            newSet.add(rowKey)
           }
         } else {
           // 普通模式：切换当前行状态
-          if (newSet.has(rowIndex)) {
-            newSet.delete(rowIndex)
+          if (newSet.has(rowKey)) {
+            newSet.delete(rowKey)
           } else {
-            newSet.add(rowIndex)
+            newSet.add(rowKey)
           }
         }
 
@@ -67,12 +83,12 @@ export function useExpandRow(expandConfig, data) {
 
   /**
    * 判断指定行是否展开
-   * @param {number} rowIndex - 行索引
+   * @param {string|number} rowKey - 行唯一标识
    * @returns {boolean}
    */
   const isRowExpanded = useCallback(
-    (rowIndex) => {
-      return enabled && expandedRows.has(rowIndex)
+    (rowKey) => {
+      return enabled && expandedRows.has(rowKey)
     },
     [enabled, expandedRows]
   )
@@ -82,8 +98,8 @@ export function useExpandRow(expandConfig, data) {
    */
   const expandAll = useCallback(() => {
     if (!enabled || !data) return
-    setExpandedRows(new Set(data.map((_, index) => index)))
-  }, [enabled, data])
+    setExpandedRows(new Set(data.map((row, index) => getKey(row, index))))
+  }, [enabled, data, getKey])
 
   /**
    * 收起所有行
@@ -0,0 +1,219 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
+
+// 可能用于键盘导航的按键
+const NAV_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', 'Enter', ' ']
+
+/**
+ * 查找覆盖指定位置的表体单元格
+ * 被合并的单元格不渲染，向上、向左查找合并区域的起始单元格；克隆行和已删除的淡出行不参与
+ * @param {HTMLElement} container - 表体滚动容器
+ * @param {number} rowIndex - 行索引
+ * @param {number} colIndex - 叶子列索引
+ * @returns {HTMLElement|null}
+ */
+function findCell(container, rowIndex, colIndex) {
+  if (!container) return null
+  for (let r = rowIndex; r >= 0; r--) {
+    const tr = container.querySelector(`tr[data-row-index="${r}"]:not([data-clone])`)
+    if (!tr) return null
+    for (let c = colIndex; c >= 0; c--) {
+      const td = tr.querySelector(`:scope > td[data-col-index="${c}"]`)
+      if (td && r + (td.rowSpan || 1) > rowIndex && c + (td.colSpan || 1) > colIndex) return td
+    }
+  }
+  return null
+}
+
+/**
+ * 读取单元格所在的位置
+ * @param {HTMLElement} td - 单元格元素
+ * @returns {Object|null} { rowIndex, colIndex }
+ */
+function getCellPosition(td) {
+  const tr = td && td.parentElement
+  if (!tr || tr.dataset.clone || tr.dataset.rowIndex === undefined) return null
+  return { rowIndex: Number(tr.dataset.rowIndex), colIndex: Number(td.dataset.colIndex) }
+}
+
+/**
+ * 键盘导航 Hook
+ * 表体单元格采用「漫游 tabindex」：只有当前单元格可通过 Tab 聚焦，其余单元格通过按键移动焦点：
+ * - 方向键移动一格，Home / End 跳到行首 / 行尾（按住 Ctrl 时跳到首行首格 / 末行末格）
+ * - PageUp / PageDown 按可视区域的行数翻页
+ * - Enter 展开 / 收起树形节点或展开行，空格切换勾选
+ * 当前单元格以行标识记录，排序或数据刷新后仍跟随原记录
+ * @param {Object} options - 配置
+ * @param {boolean} options.enabled - 是否启用
+ * @param {Object} options.containerRef - 表体滚动容器 ref
+ * @param {number} options.rowHeight - 行高（用于计算翻页行数）
+ * @param {Function} options.scrollRowIntoView - 将行滚动到可视区域 (rowIndex) => void，虚拟滚动时未渲染的行也能定位
+ * @param {Function} options.onFocusChange - 焦点进入 / 离开表体时的回调 (focused) => void
+ * @param {Function} options.onInteract - 聚焦单元格或处理按键时的回调（如暂停行轮播）
+ * @param {Array} data - 当前显示的行
+ * @param {number} columnCount - 叶子列数量
+ * @param {Function} getKey - 获取行标识 (row, rowIndex) => key
+ * @param {Object} actions - 按键动作
+ * @param {Function} actions.onToggleExpand - 切换展开行 (key) => void，未启用展开行时为空
+ * @param {Function} actions.onToggleTreeNode - 切换树形节点 (nodeId, row) => void，未启用树形时为空
+ * @param {Function} actions.onToggleSelection - 切换勾选 (key) => void，未启用勾选列时为空
+ * @param {Function} actions.isSelectable - 判断行是否可勾选 (key) => boolean
+ * @returns {Object|null} 未启用时为 null，否则为 { tabStop, onKeyDown, onFocus, onBlur }
+ *   tabStop: 可通过 Tab 聚焦的单元格 { rowIndex, colIndex }
+ */
+export function useKeyboardNav(options, data, columnCount, getKey, actions) {
+  const { enabled, containerRef, rowHeight, scrollRowIntoView, onFocusChange, onInteract } = options
+
+  // 当前单元格 { key, rowIndex, colIndex }
+  const [current, setCurrent] = useState(null)
+  // 目标单元格尚未渲染（虚拟滚动）时记录下来，渲染后再聚焦
+  const pendingRef = useRef(null)
+  const actionsRef = useRef(actions)
+  actionsRef.current = actions
+
+  // 当前单元格所在行的索引：按行标识查找，行已不存在时保持原位置
+  const tabStop = useMemo(() => {
+    if (data.length === 0 || columnCount === 0) return null
+    if (!current) return { rowIndex: 0, colIndex: 0 }
+    const index = data.findIndex((row, i) => getKey(row, i) === current.key)
+    return {
+      rowIndex: index !== -1 ? index : Math.min(current.rowIndex, data.length - 1),
+      colIndex: Math.min(current.colIndex, columnCount - 1),
+    }
+  }, [data, columnCount, getKey, current])
+
+  const focusCell = useCallback(
+    (rowIndex, colIndex) => {
+      scrollRowIntoView(rowIndex)
+      const td = findCell(containerRef.current, rowIndex, colIndex)
+      if (td) {
+        pendingRef.current = null
+        td.focus()
+      } else {
+        pendingRef.current = { rowIndex, colIndex }
+      }
+    },
+    [containerRef, scrollRowIntoView]
+  )
+
+  // 虚拟滚动渲染出目标行后聚焦
+  useEffect(() => {
+    const pending = pendingRef.current
+    if (!pending) return
+    const td = findCell(containerRef.current, pending.rowIndex, pending.colIndex)
+    if (td) {
+      pendingRef.current = null
+      td.focus()
+    }
+  })
+
+  const onKeyDown = useCallback(
+    (e) => {
+      if (!NAV_KEYS.includes(e.key)) return
+      // 编辑器等单元格内的输入控件自行处理按键
+      const td = e.target.closest ? e.target.closest('td[data-col-index]') : null
+      if (!td || e.target !== td) return
+      const position = getCellPosition(td)
+      if (!position) return
+
+      const { rowIndex, colIndex } = position
+      const lastRow = data.length - 1
+      const lastCol = columnCount - 1
+      const pageSize = Math.max(1, Math.floor((containerRef.current?.clientHeight || 0) / rowHeight))
+      let next = null
+
+      switch (e.key) {
+        case 'ArrowUp':
+          next = { rowIndex: Math.max(0, rowIndex - 1), colIndex }
+          break
+        case 'ArrowDown':
+          // 跳过纵向合并区域
+          next = { rowIndex: Math.min(lastRow, rowIndex + (td.rowSpan || 1)), colIndex }
+          break
+        case 'ArrowLeft':
+          next = { rowIndex, colIndex: Math.max(0, colIndex - 1) }
+          break
+        case 'ArrowRight':
+          next = { rowIndex, colIndex: Math.min(lastCol, colIndex + (td.colSpan || 1)) }
+          break
+        case 'Home':
+          next = { rowIndex: e.ctrlKey ? 0 : rowIndex, colIndex: 0 }
+          break
+        case 'End':
+          next = { rowIndex: e.ctrlKey ? lastRow : rowIndex, colIndex: lastCol }
+          break
+        case 'PageUp':
+          next = { rowIndex: Math.max(0, rowIndex - pageSize), colIndex }
+          break
+        case 'PageDown':
+          next = { rowIndex: Math.min(lastRow, rowIndex + pageSize), colIndex }
+          break
+        case 'Enter': {
+          const row = data[rowIndex]
+          const { onToggleTreeNode, onToggleExpand } = actionsRef.current
+          if (onToggleTreeNode && row?.__treeHasChildren__) {
+            onToggleTreeNode(row.__treeNodeId__, row)
+          } else if (onToggleExpand && row) {
+            onToggleExpand(getKey(row, rowIndex))
+          } else {
+            return
+          }
+          break
+        }
+        case ' ': {
+          const row = data[rowIndex]
+          const { onToggleSelection, isSelectable } = actionsRef.current
+          if (!onToggleSelection || !row) return
+          const key = getKey(row, rowIndex)
+          if (isSelectable && !isSelectable(key)) return
+          onToggleSelection(key)
+          break
+        }
+        default:
+          return
+      }
+
+      e.preventDefault()
+      // 不触发外层的按键处理（如大屏的全局快捷键）
+      e.stopPropagation()
+      onInteract?.()
+      if (next) focusCell(next.rowIndex, next.colIndex)
+    },
+    [data, columnCount, rowHeight, containerRef, getKey, focusCell, onInteract]
+  )
+
+  // 鼠标点击或按键移动聚焦单元格时记录当前单元格
+  const onFocus = useCallback(
+    (e) => {
+      const position = getCellPosition(e.target.closest ? e.target.closest('td[data-col-index]') : null)
+      if (position && data[position.rowIndex]) {
+        setCurrent({ key: getKey(data[position.rowIndex], position.rowIndex), ...position })
+      }
+      onFocusChange?.(true)
+      onInteract?.()
+    },
+    [data, getKey, onFocusChange, onInteract]
+  )
+
+  // 焦点移出表体时通知
+  const onBlur = useCallback(
+    (e) => {
+      if (e.relatedTarget && e.currentTarget.contains(e.relatedTarget)) return
+      onFocusChange?.(false)
+    },
+    [onFocusChange]
+  )
+
+  // 关闭时清除焦点状态
+  useEffect(() => {
+    if (enabled) return
+    pendingRef.current = null
+    onFocusChange?.(false)
+  }, [enabled, onFocusChange])
+
+  return useMemo(
+    () => (enabled ? { tabStop, onKeyDown, onFocus, onBlur } : null),
+    [enabled, tabStop, onKeyDown, onFocus, onBlur]
+  )
+}
+
+export default useKeyboardNav
@@ -0,0 +1,81 @@
+import { useEffect, useRef, useCallback } from 'react'
+
+/**
+ * 行轮播高亮 Hook
+ * 按固定间隔触发下一步（由调用方切换高亮行），鼠标悬停或点击时暂停，停止交互 idleTime 后恢复
+ * @param {Object} options - 轮播配置
+ * @param {boolean} options.enabled - 是否启用轮播
+ * @param {number} options.interval - 轮播间隔(ms)
+ * @param {boolean} options.pauseOnHover - 鼠标悬停时暂停
+ * @param {number} options.idleTime - 交互结束后恢复轮播的等待时间(ms)
+ * @param {Object} containerRef - 表体滚动容器 ref（用于监听悬停）
+ * @param {Function} onStep - 轮播到下一行的回调
+ * @param {Array} deps - 依赖数组，表体重新挂载时重新绑定悬停监听
+ * @returns {Function} pause - 暂停轮播（如点击行时调用），idleTime 后自动恢复
+ */
+export function useRowCarousel({ enabled, interval, pauseOnHover, idleTime }, containerRef, onStep, deps = []) {
+  // 回调随数据和当前行变化，通过 ref 读取最新值，避免重启计时
+  const onStepRef = useRef(onStep)
+  onStepRef.current = onStep
+  const timerRef = useRef(null)
+  const hoveringRef = useRef(false)
+  // 计时调度函数，仅在轮播启用期间存在
+  const scheduleRef = useRef(null)
+
+  // 轮播计时
+  useEffect(() => {
+    if (!enabled) return
+
+    const schedule = (delay) => {
+      clearTimeout(timerRef.current)
+      timerRef.current = setTimeout(run, delay)
+    }
+
+    const run = () => {
+      if (onStepRef.current) onStepRef.current()
+      schedule(interval)
+    }
+
+    scheduleRef.current = schedule
+    // 立即高亮第一行
+    run()
+
+    return () => {
+      clearTimeout(timerRef.current)
+      scheduleRef.current = null
+    }
+  }, [enabled, interval])
+
+  // 悬停暂停：悬停期间不计时，离开后等待 idleTime 恢复
+  useEffect(() => {
+    const container = containerRef.current
+    if (!enabled || !pauseOnHover || !container) return
+
+    const handleMouseEnter = () => {
+      hoveringRef.current = true
+      clearTimeout(timerRef.current)
+    }
+
+    const handleMouseLeave = () => {
+      hoveringRef.current = false
+      if (scheduleRef.current) scheduleRef.current(idleTime)
+    }
+
+    container.addEventListener('mouseenter', handleMouseEnter)
+    container.addEventListener('mouseleave', handleMouseLeave)
+    return () => {
+      hoveringRef.current = false
+      container.removeEventListener('mouseenter', handleMouseEnter)
+      container.removeEventListener('mouseleave', handleMouseLeave)
+    }
+  }, [enabled, pauseOnHover, idleTime, ...deps])
+
+  // 点击等交互暂停：悬停中由离开事件恢复，否则 idleTime 后恢复
+  return useCallback(() => {
+    if (!scheduleRef.current) return
+    clearTimeout(timerRef.current)
+    if (!hoveringRef.current) scheduleRef.current(idleTime)
+  }, [idleTime])
+}
+
+export default useRowCarousel
@@ -0,0 +1,32 @@
+import { useState, useLayoutEffect } from 'react'
+import { createScriptEngine } from '../utils/scriptEngine'
+
+/**
+ * 同步脚本上下文变量
+ * 渲染中执行的脚本使用本次渲染的值（同步渲染结束后失效），提交后更新渲染之外执行的脚本（如事件回调）使用的值
+ * 被丢弃的渲染（StrictMode、并发渲染）不会在引擎中留下该次渲染的数据
+ * @param {Object} engine - 脚本引擎
+ * @param {string} name - 上下文变量名（data / config）
+ * @param {any} value - 上下文变量值
+ */
+export function useScriptContext(engine, name, value) {
+  engine.setRenderContext({ [name]: value })
+  useLayoutEffect(() => {
+    engine.setContext({ [name]: value })
+  }, [engine, name, value])
+}
+
+/**
+ * 脚本引擎 Hook
+ * 每个表格实例创建一个脚本引擎，统一编译、缓存和执行配置中的用户脚本
+ * 组件配置作为脚本上下文变量 config 提供，数据源由组件在解析后通过 useScriptContext 提供
+ * @param {Object} config - 组件配置
+ * @returns {Object} 脚本引擎 { compile, setContext, setRenderContext, getErrors, clearErrors }
+ */
+export function useScriptEngine(config) {
+  const [engine] = useState(() => createScriptEngine())
+  useScriptContext(engine, 'config', config)
+  return engine
+}
+
+export default useScriptEngine
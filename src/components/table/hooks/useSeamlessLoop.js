@@ -0,0 +1,40 @@
+import { useState, useLayoutEffect } from 'react'
+
+/**
+ * 获取一个循环周期的滚动高度：克隆行起点到第一行起点的距离（含展开行与行间距）
+ * @param {HTMLElement} container - 表体滚动容器
+ * @returns {number} 循环周期高度，未渲染克隆行时返回 0
+ */
+export function getLoopHeight(container) {
+  const first = container.querySelector('tr[data-row-index]')
+  const clone = container.querySelector('tr[data-clone]')
+  return first && clone ? clone.offsetTop - first.offsetTop : 0
+}
+
+/**
+ * 无缝循环滚动 Hook
+ * 判断是否需要渲染克隆行：仅当原始内容高度超出可视区域时才启用循环，避免内容较少时重复显示
+ * @param {Object} options - 配置
+ * @param {boolean} options.enabled - 是否启用无缝循环
+ * @param {Object} options.containerRef - 表体滚动容器 ref
+ * @param {Array} deps - 依赖数组，数据或尺寸变化时重新判断
+ * @returns {boolean} 是否渲染克隆行
+ */
+export function useSeamlessLoop({ enabled, containerRef }, deps = []) {
+  const [loop, setLoop] = useState(false)
+
+  useLayoutEffect(() => {
+    const container = containerRef.current
+    if (!enabled || !container) {
+      setLoop(false)
+      return
+    }
+    // 已渲染克隆行时，以克隆行之前的原始内容高度判断
+    const contentHeight = getLoopHeight(container) || container.scrollHeight
+    setLoop(contentHeight > container.clientHeight)
+  }, [enabled, ...deps])
+
+  return loop
+}
+
+export default useSeamlessLoop
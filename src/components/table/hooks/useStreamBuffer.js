@@ -0,0 +1,120 @@
+import { useState, useMemo, useEffect } from 'react'
+import { getRowKey } from '../utils'
+
+/**
+ * 截取缓冲区，超出上限时丢弃最旧的行
+ * @param {Array} rows - 缓冲区数据
+ * @param {number} maxRows - 最大行数
+ * @param {boolean} newestFirst - 最新的行是否在前
+ * @returns {Array}
+ */
+function trimRows(rows, maxRows, newestFirst) {
+  if (rows.length <= maxRows) return rows
+  return newestFirst ? rows.slice(0, maxRows) : rows.slice(rows.length - maxRows)
+}
+
+/**
+ * 将一批新数据合并到缓冲区
+ * 已存在的行（行标识相同）原位更新，其余行作为新记录按批次内顺序放到最前或最后
+ * 取不到行标识的行始终视为新记录
+ * @param {Array} buffer - 当前缓冲区
+ * @param {Array} incoming - 本次推送的数据
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @param {boolean} newestFirst - 最新的行是否在前
+ * @returns {Object} { rows, addedCount }
+ */
+function mergeRows(buffer, incoming, rowKey, newestFirst) {
+  // 行标识 -> 本次推送的行（同一批次中重复的行以最后一条为准）
+  const updates = new Map()
+  // 批次内的行顺序：{ key } 或取不到行标识时的 { row }
+  const order = []
+  incoming.forEach((row) => {
+    if (!row || typeof row !== 'object') return
+    const key = getRowKey(row, rowKey, undefined)
+    if (key === undefined) {
+      order.push({ row })
+      return
+    }
+    if (!updates.has(key)) order.push({ key })
+    updates.set(key, row)
+  })
+
+  // 原位更新已存在的行
+  const rows = buffer.map((row) => {
+    const key = getRowKey(row, rowKey, undefined)
+    if (key === undefined || !updates.has(key)) return row
+    const next = updates.get(key)
+    updates.delete(key)
+    return next
+  })
+
+  // 剩余的为新记录
+  const newRows = order
+    .filter((item) => item.key === undefined || updates.has(item.key))
+    .map((item) => (item.key === undefined ? item.row : updates.get(item.key)))
+
+  return {
+    rows: newestFirst ? [...newRows, ...rows] : [...rows, ...newRows],
+    addedCount: newRows.length,
+  }
+}
+
+/**
+ * 追加模式 Hook
+ * 每次数据更新不再整体替换，而是按行标识合并到最多 maxRows 行的缓冲区中，适用于实时事件流：
+ * - 已存在的行原位更新，新记录放到最前（newestFirst）或最后（newestLast），超出上限时丢弃最旧的行
+ * - 有新记录到达时返回 revealing = true，持续 revealDuration 毫秒，期间应暂停自动滚动并展示最新的行
+ * 展开、高亮、勾选和排序状态均以行标识记录，合并后保持不变
+ * @param {Object} options - 追加模式配置 { enabled, maxRows, order, revealDuration }
+ * @param {Array} data - 本次推送的数据
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @returns {Object} { data, revision, revealing }
+ *   data: 合并后的缓冲区（未启用时为原始数据）；revision: 新记录到达的次数
+ */
+export function useStreamBuffer(options, data, rowKey) {
+  const { enabled, maxRows, order, revealDuration } = options
+  const newestFirst = order !== 'newestLast'
+
+  // 缓冲区状态：已合并的数据源、合并结果和新记录到达次数
+  const [state, setState] = useState({ source: null, rows: [], revision: 0 })
+
+  // 数据源变化时合并到缓冲区：在渲染期间按新的数据更新状态，React 会立即以新状态重新渲染，
+  // 合并只依赖上一次的状态和本次数据，同一份数据只合并一次
+  let current = state
+  if (enabled && state.source !== data) {
+    const { rows, addedCount } = mergeRows(state.rows, data, rowKey, newestFirst)
+    current = {
+      source: data,
+      rows: trimRows(rows, maxRows, newestFirst),
+      // 首批数据不计为新记录到达
+      revision: addedCount > 0 && state.source !== null ? state.revision + 1 : state.revision,
+    }
+    setState(current)
+  } else if (!enabled && state.source !== null) {
+    current = { source: null, rows: [], revision: state.revision }
+    setState(current)
+  }
+
+  // 上限或顺序变化时只重新截取
+  const buffer = useMemo(
+    () => ({ rows: enabled ? trimRows(current.rows, maxRows, newestFirst) : data, revision: current.revision }),
+    [enabled, data, current.rows, current.revision, maxRows, newestFirst]
+  )
+
+  // 新记录到达后的展示期
+  const [revealing, setRevealing] = useState(false)
+  useEffect(() => {
+    if (!enabled || buffer.revision === 0) return
+    setRevealing(true)
+    const timer = setTimeout(() => setRevealing(false), revealDuration)
+    return () => clearTimeout(timer)
+  }, [enabled, buffer.revision, revealDuration])
+
+  return {
+    data: buffer.rows,
+    revision: buffer.revision,
+    revealing: enabled && revealing,
+  }
+}
+
+export default useStreamBuffer
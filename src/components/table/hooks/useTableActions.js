@@ -0,0 +1,37 @@
+import { useEffect, useRef } from 'react'
+
+/**
+ * 表格动作 Hook
+ * 通过 EasyV 提供的 on 接口注册 main.json 中声明的动作，供其他组件的交互控制表格
+ * @param {Function} on - EasyV 提供的动作注册函数 (name, handler) => off，返回值为取消注册函数
+ * @param {Object} handlers - 动作处理函数 { [actionName]: (params) => void }
+ */
+export function useTableActions(on, handlers) {
+  // 处理函数随表格状态变化，通过 ref 读取最新值，避免反复注册
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  useEffect(() => {
+    if (typeof on !== 'function') return
+
+    const offs = Object.keys(handlersRef.current).map((name) =>
+      on(name, (params) => {
+        const handler = handlersRef.current[name]
+        if (!handler) return
+        try {
+          handler(params || {})
+        } catch (e) {
+          console.error(`表格动作 ${name} 执行错误:`, e)
+        }
+      })
+    )
+
+    return () => {
+      offs.forEach((off) => {
+        if (typeof off === 'function') off()
+      })
+    }
+  }, [on])
+}
+
+export default useTableActions
@@ -1,4 +1,6 @@
 import { useMemo } from 'react'
+import { compileRules } from '../utils/conditionalFormat'
+import { createSanitizer } from '../utils/sanitize'
 
 /**
  * 解析布尔值
@@ -56,27 +58,45 @@ export const parseColor = (colorValue, defaultColor = '#000000') => {
   return defaultColor
 }
 
+// 单元格脚本的错误定位信息：参数为 (row, column, rowIndex, ...)
+const cellMeta = ([, column, rowIndex]) => ({ rowIndex, column: column?.prop })
+
+// 表头单元格脚本的错误定位信息：参数为 (column, ...)
+const headerMeta = ([column]) => ({ column: column?.prop || column?.label })
+
 /**
  * 表格配置解析 Hook
- * 从 EasyV 配置对象中提取并解析各项配置
+ * 从 EasyV 配置对象中提取并解析各项配置，配置中的脚本统一由脚本引擎编译
  * @param {Object} configuration - EasyV 配置对象
+ * @param {Object} scriptEngine - 脚本引擎（useScriptEngine）
  * @returns {Object} 解析后的配置值
  */
-export function useTableConfig(configuration) {
+export function useTableConfig(configuration, scriptEngine) {
   const config = configuration || {}
   // 提取嵌套配置组
   const tableStyle = config.tableStyle || {}
   const headerStyleConfig = config.headerStyle || {}
   const rowStyleConfig = config.rowStyle || {}
   const scrollConfigGroup = tableStyle.scrollConfig || {}
+  const virtualScrollGroup = tableStyle.virtualScroll || {}
+  const streamConfigGroup = tableStyle.streamConfig || {}
+  const carouselConfigGroup = tableStyle.carouselConfig || {}
+  const keyboardNavGroup = tableStyle.keyboardNav || {}
   const borderConfig = tableStyle.border || {}
   const headerBorderConfig = headerStyleConfig.border || {}
   const columnStyleConfig = config.columnStyle || {}
   const columnConfig = columnStyleConfig.columnConfig || {}
   const indexColumnConfig = columnStyleConfig.indexColumn || {}
+  const selectionColumnConfig = columnStyleConfig.selectionColumn || {}
   const advancedStyleConfig = config.advancedStyle || {}
   const expandConfigGroup = config.expandConfig || {}
   const treeConfigGroup = config.treeConfig || {}
+  const sortConfigGroup = config.sortConfig || {}
+  const summaryConfigGroup = config.summaryConfig || {}
+  const exportConfigGroup = config.exportConfig || {}
+  const conditionalFormatGroup = config.conditionalFormat || {}
+  const changeHighlightGroup = config.changeHighlight || {}
+  const tooltipConfigGroup = config.tooltipConfig || {}
 
   // 表格基础样式配置
   const tableSettings = useMemo(
@@ -91,8 +111,9 @@ export function useTableConfig(configuration) {
       emptyText: tableStyle.emptyText || '暂无数据',
       borderRadius: Number(tableStyle.borderRadius) || 0,
       containerBgColor: parseColor(tableStyle.containerBgColor, '#041F42'),
+      debug: parseBool(tableStyle.debug, false),
     }),
-    [tableStyle.stripe, borderConfig.show, borderConfig.borderColor, borderConfig.borderWidth, borderConfig.borderDirection, tableStyle.showHeader, tableStyle.highlightCurrentRow, tableStyle.emptyText, tableStyle.borderRadius, tableStyle.containerBgColor]
+    [tableStyle.stripe, borderConfig.show, borderConfig.borderColor, borderConfig.borderWidth, borderConfig.borderDirection, tableStyle.showHeader, tableStyle.highlightCurrentRow, tableStyle.emptyText, tableStyle.borderRadius, tableStyle.containerBgColor, tableStyle.debug]
   )
 
   // 序号列配置
@@ -108,6 +129,26 @@ export function useTableConfig(configuration) {
     [indexColumnConfig]
   )
 
+  // 勾选列配置
+  const selectionColumn = useMemo(() => {
+    // 解析可勾选判断脚本
+    const selectableFn = scriptEngine.compile(
+      'columnStyle.selectionColumn.selectableScript',
+      selectionColumnConfig.selectableScript,
+      ['row', 'index'],
+      { label: '可勾选判断脚本', fallback: true, meta: ([, index]) => ({ rowIndex: index }) }
+    )
+
+    return {
+      show: parseBool(selectionColumnConfig.show, false),
+      width: Number(selectionColumnConfig.selectionWidth) || 48,
+      fixed: parseBool(selectionColumnConfig.selectionFixed, false),
+      // 树形模式下父子节点勾选是否互不关联
+      checkStrictly: parseBool(selectionColumnConfig.checkStrictly, false),
+      selectableFn,
+    }
+  }, [scriptEngine, selectionColumnConfig])
+
   // 表头样式配置
   const headerStyle = useMemo(() => {
     const textStyle = headerStyleConfig.headerTextStyle || {}
@@ -153,52 +194,278 @@ export function useTableConfig(configuration) {
   const scrollConfig = useMemo(
     () => ({
       autoScroll: parseBool(scrollConfigGroup.autoScroll, false),
+      scrollMode: ['pixel', 'row', 'page'].includes(scrollConfigGroup.scrollMode) ? scrollConfigGroup.scrollMode : 'pixel',
+      scrollDirection: scrollConfigGroup.scrollDirection === 'down' ? 'down' : 'up',
       scrollSpeed: Number(scrollConfigGroup.scrollSpeed) || 50,
+      scrollInterval: scrollConfigGroup.scrollInterval !== undefined ? Math.max(0, Number(scrollConfigGroup.scrollInterval) || 0) : 3000,
+      scrollDuration: scrollConfigGroup.scrollDuration !== undefined ? Math.max(0, Number(scrollConfigGroup.scrollDuration) || 0) : 500,
+      scrollEasing: scrollConfigGroup.scrollEasing || 'easeInOut',
       scrollPauseOnHover: parseBool(scrollConfigGroup.scrollPauseOnHover, true),
+      seamless: parseBool(scrollConfigGroup.seamless, false),
+    }),
+    [
+      scrollConfigGroup.autoScroll,
+      scrollConfigGroup.scrollMode,
+      scrollConfigGroup.scrollDirection,
+      scrollConfigGroup.scrollSpeed,
+      scrollConfigGroup.scrollInterval,
+      scrollConfigGroup.scrollDuration,
+      scrollConfigGroup.scrollEasing,
+      scrollConfigGroup.scrollPauseOnHover,
+      scrollConfigGroup.seamless,
+    ]
+  )
+
+  // 行轮播高亮配置
+  const carouselConfig = useMemo(
+    () => ({
+      enabled: parseBool(carouselConfigGroup.enable, false),
+      interval: Math.max(500, Number(carouselConfigGroup.interval) || 3000),
+      pauseOnHover: parseBool(carouselConfigGroup.pauseOnHover, true),
+      idleTime: carouselConfigGroup.idleTime !== undefined ? Math.max(0, Number(carouselConfigGroup.idleTime) || 0) : 5000,
+    }),
+    [carouselConfigGroup.enable, carouselConfigGroup.interval, carouselConfigGroup.pauseOnHover, carouselConfigGroup.idleTime]
+  )
+
+  // 虚拟滚动配置
+  const virtualScroll = useMemo(
+    () => ({
+      enabled: parseBool(virtualScrollGroup.enable, false),
+      threshold: virtualScrollGroup.threshold !== undefined ? Number(virtualScrollGroup.threshold) || 0 : 200,
+      buffer: Number(virtualScrollGroup.buffer) || 10,
+    }),
+    [virtualScrollGroup.enable, virtualScrollGroup.threshold, virtualScrollGroup.buffer]
+  )
+
+  // 追加模式配置
+  const streamConfig = useMemo(
+    () => ({
+      enabled: parseBool(streamConfigGroup.enable, false),
+      maxRows: Math.max(1, Number(streamConfigGroup.maxRows) || 100),
+      order: streamConfigGroup.order === 'newestLast' ? 'newestLast' : 'newestFirst',
+      revealDuration: streamConfigGroup.revealDuration !== undefined ? Number(streamConfigGroup.revealDuration) || 0 : 3000,
     }),
-    [scrollConfigGroup.autoScroll, scrollConfigGroup.scrollSpeed, scrollConfigGroup.scrollPauseOnHover]
+    [streamConfigGroup.enable, streamConfigGroup.maxRows, streamConfigGroup.order, streamConfigGroup.revealDuration]
   )
 
   // 滚动条颜色配置
   const scrollbarColor = tableStyle.scrollbarColor || '#092642'
 
-  // 列配置脚本函数
-  const columnScriptFn = useMemo(() => {
-    const columnsScript = columnConfig.columns
-    if (!columnsScript || typeof columnsScript !== 'string') {
-      return null
-    }
-    try {
-      // 用户只编写函数体，我们包装成完整函数
-      return new Function('data', columnsScript)
-    } catch (e) {
-      console.error('列定义脚本解析错误:', e)
-      return null
+  // 键盘导航配置
+  const keyboardNav = useMemo(
+    () => ({
+      enabled: parseBool(keyboardNavGroup.enable, false),
+      focusColor: parseColor(keyboardNavGroup.focusColor, '#409eff'),
+    }),
+    [keyboardNavGroup.enable, keyboardNavGroup.focusColor]
+  )
+
+  // 行唯一标识配置：字段名或脚本，展开、高亮、树形等行状态都以此为键
+  const rowKey = useMemo(() => {
+    const keyFn = scriptEngine.compile('tableStyle.rowKeyScript', tableStyle.rowKeyScript, ['row'], {
+      label: '行标识脚本',
+    })
+
+    return {
+      field: tableStyle.rowKey || 'id',
+      keyFn,
     }
-  }, [columnConfig.columns])
+  }, [scriptEngine, tableStyle.rowKey, tableStyle.rowKeyScript])
+
+  // 列配置脚本函数
+  const columnScriptFn = useMemo(
+    () => scriptEngine.compile('columnStyle.columnConfig.columns', columnConfig.columns, ['data'], { label: '列定义脚本' }),
+    [scriptEngine, columnConfig.columns]
+  )
+
+  // 单元格合并脚本函数
+  const spanMethodFn = useMemo(
+    () =>
+      scriptEngine.compile(
+        'columnStyle.columnConfig.spanMethod',
+        columnConfig.spanMethod,
+        ['row', 'column', 'rowIndex', 'columnIndex', 'data'],
+        { label: '合并单元格脚本', meta: cellMeta }
+      ),
+    [scriptEngine, columnConfig.spanMethod]
+  )
+
+  // 单元格编辑校验脚本函数
+  const cellValidatorFn = useMemo(
+    () =>
+      scriptEngine.compile(
+        'columnStyle.columnConfig.cellValidator',
+        columnConfig.cellValidator,
+        ['value', 'row', 'column', 'oldValue'],
+        // 校验脚本出错时不允许提交
+        { label: '单元格校验脚本', fallback: '校验脚本执行错误', meta: ([, , column]) => ({ column: column?.prop }) }
+      ),
+    [scriptEngine, columnConfig.cellValidator]
+  )
+
+  // 是否允许拖拽调整列宽
+  const columnResizable = parseBool(columnConfig.resizable, false)
+
+  // 是否填充容器宽度：未配置 width 的列按 flex: 1 分配剩余宽度
+  const fitContainer = parseBool(columnConfig.fitContainer, false)
 
-  // 默认排序配置
+  // 默认排序配置：{ prop, order } 或其数组（数组顺序即优先级）
   const defaultSort = config.defaultSort || null
 
+  // 排序配置
+  const sortConfig = useMemo(
+    () => ({
+      multiSort: parseBool(sortConfigGroup.multiSort, false),
+    }),
+    [sortConfigGroup.multiSort]
+  )
+
+  // 合计行配置
+  const summaryConfig = useMemo(() => {
+    // 解析自定义合计脚本
+    const summaryMethodFn = scriptEngine.compile('summaryConfig.summaryMethod', summaryConfigGroup.summaryMethod, ['columns', 'data'], {
+      label: '合计脚本',
+    })
+
+    const textStyle = summaryConfigGroup.summaryTextStyle || {}
+    return {
+      show: parseBool(summaryConfigGroup.showSummary, false),
+      sumText: summaryConfigGroup.sumText ?? '合计',
+      height: Number(summaryConfigGroup.summaryHeight) || 40,
+      bgColor: parseColor(summaryConfigGroup.summaryBgColor, '#0e2a52'),
+      fontFamily: textStyle.fontFamily || 'Microsoft Yahei',
+      fontSize: Number(textStyle.fontSize) || 13,
+      color: parseColor(textStyle.color, '#ffffff'),
+      fontWeight: parseBool(textStyle.bold, true) ? 'bold' : textStyle.fontWeight || 'normal',
+      fontStyle: parseBool(textStyle.italic, false) ? 'italic' : 'normal',
+      summaryMethodFn,
+    }
+  }, [scriptEngine, summaryConfigGroup])
+
+  // 导出配置
+  const exportConfig = useMemo(
+    () => ({
+      showButton: parseBool(exportConfigGroup.showButton, false),
+      format: exportConfigGroup.format === 'csv' ? 'csv' : 'xlsx',
+      fileName: exportConfigGroup.fileName || '表格数据',
+      buttonColor: parseColor(exportConfigGroup.buttonColor, '#ffffff'),
+    }),
+    [exportConfigGroup.showButton, exportConfigGroup.format, exportConfigGroup.fileName, exportConfigGroup.buttonColor]
+  )
+
+  // 条件格式规则（rule1 ~ rule5，按顺序优先）
+  const conditionalRules = useMemo(() => {
+    const rules = Object.keys(conditionalFormatGroup)
+      .filter((key) => /^rule\d+$/.test(key))
+      .sort((a, b) => Number(a.slice(4)) - Number(b.slice(4)))
+      .map((key) => conditionalFormatGroup[key] || {})
+      .filter((rule) => parseBool(rule.enable, false))
+      .map((rule) => ({
+        prop: rule.prop,
+        operator: rule.operator,
+        value: rule.value,
+        value2: rule.value2,
+        color: parseColor(rule.color, null),
+        bgColor: parseColor(rule.bgColor, null),
+        bold: parseBool(rule.bold, false),
+        icon: rule.icon,
+        iconColor: parseColor(rule.iconColor, null),
+      }))
+    return compileRules(rules)
+  }, [conditionalFormatGroup])
+
+  // HTML 清洗函数 - 渲染脚本、展开内容和表头标签中的 HTML 按白名单清洗后再插入页面
+  const htmlSanitizeGroup = advancedStyleConfig.htmlSanitize || {}
+  const htmlSanitizer = useMemo(() => {
+    const splitList = (text) =>
+      String(text || '')
+        .split(/[,，\s]+/)
+        .map((item) => item.trim())
+        .filter(Boolean)
+    return createSanitizer({
+      enabled: parseBool(htmlSanitizeGroup.enable, true),
+      extraTags: splitList(htmlSanitizeGroup.allowTags),
+      extraAttributes: splitList(htmlSanitizeGroup.allowAttributes),
+    })
+  }, [htmlSanitizeGroup.enable, htmlSanitizeGroup.allowTags, htmlSanitizeGroup.allowAttributes])
+
+  // 数据变化高亮配置
+  const changeHighlight = useMemo(
+    () => ({
+      enabled: parseBool(changeHighlightGroup.enable, false),
+      mode: ['color', 'arrow', 'both'].includes(changeHighlightGroup.mode) ? changeHighlightGroup.mode : 'color',
+      flashColor: parseColor(changeHighlightGroup.flashColor, 'rgba(230, 162, 60, 0.6)'),
+      upColor: parseColor(changeHighlightGroup.upColor, '#f56c6c'),
+      downColor: parseColor(changeHighlightGroup.downColor, '#67c23a'),
+      duration: Number(changeHighlightGroup.duration) || 1500,
+      rowAnimation: parseBool(changeHighlightGroup.rowAnimation, true),
+      ignoreFields: String(changeHighlightGroup.ignoreFields || '')
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean),
+    }),
+    [
+      changeHighlightGroup.enable,
+      changeHighlightGroup.mode,
+      changeHighlightGroup.flashColor,
+      changeHighlightGroup.upColor,
+      changeHighlightGroup.downColor,
+      changeHighlightGroup.duration,
+      changeHighlightGroup.rowAnimation,
+      changeHighlightGroup.ignoreFields,
+    ]
+  )
+
+  // 悬停提示框配置
+  const tooltipConfig = useMemo(() => {
+    const renderFn = scriptEngine.compile('tooltipConfig.tooltipRender', tooltipConfigGroup.tooltipRender, ['row', 'column', 'value'], {
+      label: '提示框渲染脚本',
+      meta: ([, column]) => ({ column: column?.prop }),
+    })
+    const trustedHtml = parseBool(tooltipConfigGroup.trustedHtml, false)
+
+    return {
+      enabled: parseBool(tooltipConfigGroup.enable, false),
+      placement: ['top', 'bottom', 'left', 'right'].includes(tooltipConfigGroup.placement) ? tooltipConfigGroup.placement : 'top',
+      showDelay: Math.max(0, Number(tooltipConfigGroup.showDelay) || 0),
+      hideDelay: Math.max(0, Number(tooltipConfigGroup.hideDelay) || 0),
+      bgColor: parseColor(tooltipConfigGroup.bgColor, 'rgba(4, 31, 66, 0.95)'),
+      textColor: parseColor(tooltipConfigGroup.textColor, '#ffffff'),
+      borderColor: parseColor(tooltipConfigGroup.borderColor, 'rgba(64, 158, 255, 0.6)'),
+      fontSize: Number(tooltipConfigGroup.fontSize) || 13,
+      maxWidth: Number(tooltipConfigGroup.maxWidth) || 320,
+      // 提示框渲染函数: (row, column, value) => HTML 字符串 | 元素配置 | 元素配置数组，表头单元格的 row 为 null
+      renderFn,
+      // 渲染脚本返回的 HTML 清洗函数（开启「信任 HTML」时原样输出）
+      sanitize: (html) => htmlSanitizer(html, trustedHtml),
+    }
+  }, [
+    scriptEngine,
+    htmlSanitizer,
+    tooltipConfigGroup.enable,
+    tooltipConfigGroup.placement,
+    tooltipConfigGroup.showDelay,
+    tooltipConfigGroup.hideDelay,
+    tooltipConfigGroup.bgColor,
+    tooltipConfigGroup.textColor,
+    tooltipConfigGroup.borderColor,
+    tooltipConfigGroup.fontSize,
+    tooltipConfigGroup.maxWidth,
+    tooltipConfigGroup.tooltipRender,
+    tooltipConfigGroup.trustedHtml,
+  ])
+
   // 高级样式配置 - 解析样式和渲染脚本函数
   const advancedStyle = useMemo(() => {
     /**
      * 创建脚本函数
+     * @param {string} path - 配置路径
      * @param {string} script - 脚本字符串
      * @param {Array} params - 参数名列表
+     * @param {Object} options - 脚本选项 { label, meta }
      * @returns {Function|null} 脚本函数
      */
-    const createScriptFn = (script, params) => {
-      if (!script || typeof script !== 'string' || script.trim() === '') {
-        return null
-      }
-      try {
-        return new Function(...params, script)
-      } catch (e) {
-        console.error('脚本解析错误:', e)
-        return null
-      }
-    }
+    const createScriptFn = (path, script, params, options) => scriptEngine.compile(`advancedStyle.${path}`, script, params, options)
 
     // 提取嵌套分组配置
     const headerConfig = advancedStyleConfig.header || {}
@@ -208,32 +475,46 @@ export function useTableConfig(configuration) {
 
     return {
       // 表头整体样式函数: () => styleObject
-      headerStyleFn: createScriptFn(headerConfig.headerStyle, []),
+      headerStyleFn: createScriptFn('header.headerStyle', headerConfig.headerStyle, [], { label: '表头样式脚本' }),
       // 表头单元格样式函数: (column, columnIndex, leafColumnIndex) => styleObject
-      headerCellStyleFn: createScriptFn(headerCellConfig.headerCellStyle, ['column', 'columnIndex', 'leafColumnIndex']),
+      headerCellStyleFn: createScriptFn('headerCell.headerCellStyle', headerCellConfig.headerCellStyle, ['column', 'columnIndex', 'leafColumnIndex'], {
+        label: '表头单元格样式脚本',
+        meta: headerMeta,
+      }),
       // 表头单元格渲染函数: (column, columnIndex, leafColumnIndex) => renderConfig
-      headerCellRenderFn: createScriptFn(headerCellConfig.headerCellRender, ['column', 'columnIndex', 'leafColumnIndex']),
+      headerCellRenderFn: createScriptFn('headerCell.headerCellRender', headerCellConfig.headerCellRender, ['column', 'columnIndex', 'leafColumnIndex'], {
+        label: '表头单元格渲染脚本',
+        meta: headerMeta,
+      }),
+      // 表头单元格渲染脚本返回的 HTML 清洗函数（开启「信任 HTML」时原样输出）
+      headerCellSanitize: (html) => htmlSanitizer(html, parseBool(headerCellConfig.trustedHtml, false)),
       // 行样式函数: (row, rowIndex) => styleObject
-      rowStyleFn: createScriptFn(rowStyleConfig.rowStyle, ['row', 'rowIndex']),
+      rowStyleFn: createScriptFn('rowStyle.rowStyle', rowStyleConfig.rowStyle, ['row', 'rowIndex'], {
+        label: '行样式脚本',
+        meta: ([, rowIndex]) => ({ rowIndex }),
+      }),
       // 单元格样式函数: (row, column, rowIndex, columnIndex, leafColumnIndex) => styleObject
-      cellStyleFn: createScriptFn(cellConfig.cellStyle, ['row', 'column', 'rowIndex', 'columnIndex', 'leafColumnIndex']),
+      cellStyleFn: createScriptFn('cell.cellStyle', cellConfig.cellStyle, ['row', 'column', 'rowIndex', 'columnIndex', 'leafColumnIndex'], {
+        label: '单元格样式脚本',
+        meta: cellMeta,
+      }),
       // 单元格渲染函数: (row, column, rowIndex, columnIndex, leafColumnIndex, value) => renderConfig
-      cellRenderFn: createScriptFn(cellConfig.cellRender, ['row', 'column', 'rowIndex', 'columnIndex', 'leafColumnIndex', 'value']),
+      cellRenderFn: createScriptFn('cell.cellRender', cellConfig.cellRender, ['row', 'column', 'rowIndex', 'columnIndex', 'leafColumnIndex', 'value'], {
+        label: '单元格渲染脚本',
+        meta: cellMeta,
+      }),
+      // 单元格渲染脚本返回的 HTML 清洗函数（开启「信任 HTML」时原样输出）
+      cellSanitize: (html) => htmlSanitizer(html, parseBool(cellConfig.trustedHtml, false)),
     }
-  }, [advancedStyleConfig])
+  }, [scriptEngine, advancedStyleConfig, htmlSanitizer])
 
   // 展开行配置
   const expandConfig = useMemo(() => {
     // 解析展开内容渲染脚本
-    const renderScript = expandConfigGroup.expandRenderScript
-    let expandRenderFn = null
-    if (renderScript && typeof renderScript === 'string' && renderScript.trim() !== '') {
-      try {
-        expandRenderFn = new Function('row', 'rowIndex', renderScript)
-      } catch (e) {
-        console.error('展开内容渲染脚本解析错误:', e)
-      }
-    }
+    const expandRenderFn = scriptEngine.compile('expandConfig.expandRenderScript', expandConfigGroup.expandRenderScript, ['row', 'rowIndex'], {
+      label: '展开内容渲染脚本',
+      meta: ([, rowIndex]) => ({ rowIndex }),
+    })
 
     return {
       enabled: parseBool(expandConfigGroup.enableExpand, false),
@@ -245,8 +526,11 @@ export function useTableConfig(configuration) {
       expandIcon: expandConfigGroup.expandIcon || '<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M8.59 16.58L13.17 12 8.59 7.41 10 6l6 6-6 6z"/></svg>',
       collapseIcon: expandConfigGroup.collapseIcon || '<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M7.41 8.58L12 13.17l4.59-4.59L18 10l-6 6-6-6z"/></svg>',
       expandRenderFn,
+      // 展开内容清洗函数（开启「信任 HTML」时原样输出）
+      sanitize: (html) => htmlSanitizer(html, parseBool(expandConfigGroup.trustedHtml, false)),
     }
   }, [
+    scriptEngine,
     expandConfigGroup.enableExpand,
     expandConfigGroup.expandIconColumn,
     expandConfigGroup.expandColumnWidth,
@@ -256,20 +540,18 @@ export function useTableConfig(configuration) {
     expandConfigGroup.expandIcon,
     expandConfigGroup.collapseIcon,
     expandConfigGroup.expandRenderScript,
+    expandConfigGroup.trustedHtml,
+    htmlSanitizer,
   ])
 
   // 树形表格配置
   const treeConfig = useMemo(() => {
     // 解析懒加载脚本
-    const lazyScript = treeConfigGroup.lazyLoadScript
-    let lazyLoadFn = null
-    if (lazyScript && typeof lazyScript === 'string' && lazyScript.trim() !== '') {
-      try {
-        lazyLoadFn = new Function('row', 'resolve', lazyScript)
-      } catch (e) {
-        console.error('树形懒加载脚本解析错误:', e)
-      }
-    }
+    const lazyLoadFn = scriptEngine.compile('treeConfig.lazyLoadScript', treeConfigGroup.lazyLoadScript, ['row', 'resolve'], {
+      label: '树形懒加载脚本',
+      // 出错时需要由调用方移除加载中状态
+      rethrow: true,
+    })
 
     return {
       enabled: parseBool(treeConfigGroup.enableTree, false),
@@ -284,6 +566,7 @@ export function useTableConfig(configuration) {
       lazyLoadFn,
     }
   }, [
+    scriptEngine,
     treeConfigGroup.enableTree,
     treeConfigGroup.childrenField,
     treeConfigGroup.treeColumn,
@@ -301,10 +584,27 @@ export function useTableConfig(configuration) {
     headerStyle,
     bodyStyle,
     scrollConfig,
+    carouselConfig,
+    virtualScroll,
+    streamConfig,
     scrollbarColor,
+    keyboardNav,
+    rowKey,
     columnScriptFn,
+    spanMethodFn,
+    cellValidatorFn,
+    columnResizable,
+    fitContainer,
     indexColumn,
+    selectionColumn,
     defaultSort,
+    sortConfig,
+    summaryConfig,
+    exportConfig,
+    conditionalRules,
+    changeHighlight,
+    tooltipConfig,
+    htmlSanitizer,
     advancedStyle,
     expandConfig,
     treeConfig,
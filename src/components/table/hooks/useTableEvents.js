@@ -55,21 +55,180 @@ export function useTableEvents(emit, data) {
 
   /**
    * 触发排序变化事件
-   * @param {Object} sortState - 排序状态 { prop, order }
-   * @param {Object} column - 列配置
+   * prop/order 为第一优先级排序，sorts 为按优先级排列的完整排序列表
+   * @param {Array} sorts - 排序条件列表 [{ prop, order }]
+   * @param {Object} column - 被点击的列配置
    */
   const emitSortChange = useCallback(
-    (sortState, column) => {
+    (sorts, column) => {
       if (typeof emit === 'function') {
+        const primary = sorts[0]
         emit('sortChange', {
-          prop: sortState.prop,
-          order: sortState.order,
+          prop: primary ? primary.prop : null,
+          order: primary ? primary.order : null,
+          sorts: sorts.map((s) => ({ prop: s.prop, order: s.order })),
+          column: column
+            ? {
+                prop: column.prop,
+                label: column.label,
+              }
+            : null,
+          data,
+        })
+      }
+    },
+    [emit, data]
+  )
+
+  /**
+   * 触发筛选变化事件
+   * filters 为所有生效的筛选值（prop -> values），values 为本次操作列的筛选值
+   * @param {Object} filters - 生效的筛选状态
+   * @param {Object} column - 被操作的列配置
+   * @param {Array} values - 该列新的筛选值（空数组表示清除）
+   */
+  const emitFilterChange = useCallback(
+    (filters, column, values) => {
+      if (typeof emit === 'function') {
+        emit('filterChange', {
+          filters,
           column: column
             ? {
                 prop: column.prop,
                 label: column.label,
               }
             : null,
+          values,
+          data,
+        })
+      }
+    },
+    [emit, data]
+  )
+
+  /**
+   * 触发勾选变化事件
+   * @param {Array} selection - 当前选中的所有行
+   * @param {Object|null} row - 本次切换的行（全选/取消全选时为 null）
+   * @param {boolean} selected - 本次操作为勾选（true）还是取消（false）
+   */
+  const emitSelectionChange = useCallback(
+    (selection, row, selected) => {
+      if (typeof emit === 'function') {
+        emit('selectionChange', {
+          selection,
+          row,
+          selected,
+          data,
+        })
+      }
+    },
+    [emit, data]
+  )
+
+  /**
+   * 触发列宽变化事件
+   * @param {Object} column - 被拖拽的表头列（叶子列或分组列）
+   * @param {number} width - 拖拽后的列宽（分组列为其下叶子列宽度之和）
+   * @param {Object} widths - 所有叶子列的列宽 { prop: width }
+   */
+  const emitColumnResize = useCallback(
+    (column, width, widths) => {
+      if (typeof emit === 'function') {
+        emit('columnResize', {
+          column: {
+            prop: column.prop,
+            label: column.label,
+          },
+          width,
+          widths,
+        })
+      }
+    },
+    [emit]
+  )
+
+  /**
+   * 触发高亮行变化事件
+   * @param {Object} row - 新的高亮行数据
+   * @param {number} rowIndex - 高亮行索引
+   * @param {string} source - 变化来源：click 点击 | carousel 轮播 | action 外部动作
+   */
+  const emitCurrentChange = useCallback(
+    (row, rowIndex, source) => {
+      if (typeof emit === 'function') {
+        emit('currentChange', {
+          row,
+          rowIndex,
+          source,
+          data,
+        })
+      }
+    },
+    [emit, data]
+  )
+
+  /**
+   * 触发自动滚动步进事件
+   * @param {Object} row - 滚动后首个可见行数据
+   * @param {number} rowIndex - 首个可见行索引
+   * @param {Object} info - 滚动信息 { mode, direction, scrollTop }
+   */
+  const emitScrollStep = useCallback(
+    (row, rowIndex, { mode, direction, scrollTop }) => {
+      if (typeof emit === 'function') {
+        emit('scrollStep', {
+          row,
+          rowIndex,
+          mode,
+          direction,
+          scrollTop,
+        })
+      }
+    },
+    [emit]
+  )
+
+  /**
+   * 触发单元格编辑事件
+   * @param {Object} row - 修改后的行数据
+   * @param {string} prop - 修改的字段
+   * @param {*} oldValue - 修改前的值
+   * @param {*} newValue - 修改后的值
+   * @param {number} rowIndex - 行索引
+   */
+  const emitCellEdit = useCallback(
+    (row, prop, oldValue, newValue, rowIndex) => {
+      if (typeof emit === 'function') {
+        emit('cellEdit', {
+          row,
+          prop,
+          oldValue,
+          newValue,
+          rowIndex,
+          data,
+        })
+      }
+    },
+    [emit, data]
+  )
+
+  /**
+   * 触发数据变化事件（数据源刷新后按行标识比较新旧数据）
+   * @param {Array} added - 新增的行
+   * @param {Array} removed - 删除的行
+   * @param {Array} modified - 修改的行 [{ key, row, changes: [{ prop, oldValue, newValue }] }]
+   */
+  const emitDataChange = useCallback(
+    ({ added, removed, modified }) => {
+      if (typeof emit === 'function') {
+        emit('dataChange', {
+          added,
+          removed,
+          modified,
+          addedCount: added.length,
+          removedCount: removed.length,
+          modifiedCount: modified.length,
           data,
         })
       }
@@ -81,6 +240,13 @@ export function useTableEvents(emit, data) {
     emitRowClick,
     emitCellClick,
     emitSortChange,
+    emitFilterChange,
+    emitSelectionChange,
+    emitColumnResize,
+    emitScrollStep,
+    emitCurrentChange,
+    emitCellEdit,
+    emitDataChange,
   }
 }
 
@@ -0,0 +1,157 @@
+import { useState, useMemo, useCallback } from 'react'
+
+/**
+ * 解析列的筛选函数
+ * filterMethod 可以是函数，也可以是脚本字符串（函数体），参数为 (value, row, column)
+ * 未配置时按字段值全等匹配
+ * @param {Object} column - 列配置
+ * @param {Object} [scriptEngine] - 脚本引擎（编译脚本字符串形式的 filterMethod）
+ * @returns {Function} 筛选函数 (value, row) => boolean
+ */
+function createFilterFn(column, scriptEngine) {
+  const { filterMethod, prop } = column
+
+  let customFn = null
+  if (typeof filterMethod === 'function') {
+    // 列定义脚本返回的函数不经过脚本引擎，出错时保留该行
+    customFn = (value, row, col) => {
+      try {
+        return filterMethod(value, row, col)
+      } catch (e) {
+        console.error('筛选脚本执行错误:', e)
+        return true
+      }
+    }
+  } else if (scriptEngine && typeof filterMethod === 'string') {
+    // 脚本出错时保留该行
+    customFn = scriptEngine.compile(`columns.${prop}.filterMethod`, filterMethod, ['value', 'row', 'column'], {
+      label: '筛选脚本',
+      fallback: true,
+      meta: () => ({ column: prop }),
+    })
+  }
+
+  return (value, row) => {
+    if (customFn) {
+      return Boolean(customFn(value, row, column))
+    }
+    return row[prop] === value
+  }
+}
+
+/**
+ * 过滤树形数据
+ * 节点本身满足条件时保留整棵子树；否则只要有子孙节点满足条件就保留该节点（子节点替换为过滤后的结果）
+ * @param {Array} nodes - 树形数据
+ * @param {string} childrenField - 子节点字段名
+ * @param {Function} predicate - 判断函数
+ * @returns {Array} 过滤后的树形数据
+ */
+function filterTreeData(nodes, childrenField, predicate) {
+  const result = []
+  nodes.forEach((node) => {
+    if (predicate(node)) {
+      result.push(node)
+      return
+    }
+    const children = node[childrenField]
+    if (Array.isArray(children) && children.length > 0) {
+      const filteredChildren = filterTreeData(children, childrenField, predicate)
+      if (filteredChildren.length > 0) {
+        result.push({ ...node, [childrenField]: filteredChildren })
+      }
+    }
+  })
+  return result
+}
+
+/**
+ * 表格筛选 Hook
+ * 兼容 el-table 的列筛选配置：filters / filterMultiple / filterMethod / filteredValue
+ * 筛选在排序与树形扁平化之前执行
+ * @param {Array} data - 表格数据
+ * @param {Array} columns - 列配置（叶子列）
+ * @param {Object} treeConfig - 树形配置（启用时按树形结构过滤）
+ * @param {Object} scriptEngine - 脚本引擎
+ * @returns {Object} 筛选状态和方法
+ */
+export function useTableFilter(data, columns, treeConfig, scriptEngine = null) {
+  // 用户操作过的筛选值：prop -> values[]
+  const [userFilters, setUserFilters] = useState({})
+
+  // 生效的筛选状态：用户操作过的列以用户选择为准，否则使用列配置的 filteredValue
+  const filterState = useMemo(() => {
+    const state = {}
+    columns.forEach((column) => {
+      if (!column.prop || !Array.isArray(column.filters) || column.filters.length === 0) return
+      const values = column.prop in userFilters ? userFilters[column.prop] : column.filteredValue
+      if (Array.isArray(values) && values.length > 0) {
+        state[column.prop] = values
+      }
+    })
+    return state
+  }, [columns, userFilters])
+
+  // 筛选后的数据
+  const filteredData = useMemo(() => {
+    const activeColumns = columns.filter((column) => filterState[column.prop])
+    if (activeColumns.length === 0) return data
+
+    // 同一列内多个筛选值为「或」关系，不同列之间为「且」关系
+    const matchers = activeColumns.map((column) => {
+      const filterFn = createFilterFn(column, scriptEngine)
+      const values = filterState[column.prop]
+      return (row) => values.some((value) => filterFn(value, row))
+    })
+    const predicate = (row) => matchers.every((match) => match(row))
+
+    if (treeConfig?.enabled) {
+      return filterTreeData(data, treeConfig.childrenField, predicate)
+    }
+    return data.filter(predicate)
+  }, [data, columns, filterState, treeConfig, scriptEngine])
+
+  /**
+   * 设置某列的筛选值
+   * @param {Object} column - 列配置
+   * @param {Array} values - 筛选值列表，空数组表示清除该列筛选
+   * @returns {Object} 新的筛选状态
+   */
+  const setColumnFilter = useCallback(
+    (column, values) => {
+      const nextValues = Array.isArray(values) ? values : []
+      setUserFilters((prev) => ({ ...prev, [column.prop]: nextValues }))
+
+      const nextState = { ...filterState }
+      if (nextValues.length > 0) {
+        nextState[column.prop] = nextValues
+      } else {
+        delete nextState[column.prop]
+      }
+      return nextState
+    },
+    [filterState]
+  )
+
+  /**
+   * 清除所有筛选（包括列配置的 filteredValue）
+   */
+  const resetFilters = useCallback(() => {
+    const cleared = {}
+    columns.forEach((column) => {
+      if (column.prop && Array.isArray(column.filters)) {
+        cleared[column.prop] = []
+      }
+    })
+    setUserFilters(cleared)
+  }, [columns])
+
+  return {
+    filterState,
+    filteredData,
+    setColumnFilter,
+    resetFilters,
+  }
+}
+
+export default useTableFilter
@@ -0,0 +1,233 @@
+import { useState, useMemo, useCallback, useEffect } from 'react'
+
+/**
+ * 构建勾选节点索引
+ * 树形模式下递归收集所有节点（包括未展开的子节点和懒加载已加载的子节点），并记录父子关系用于级联勾选
+ * 节点标识与表体行标识一致：普通模式回退为行索引，树形模式回退为「父节点ID-同级索引」
+ * @param {Array} data - 表格数据（树形模式下为树形结构）
+ * @param {Object} treeConfig - 树形配置
+ * @param {Function} getKey - 获取行标识 (row, fallback) => key
+ * @param {Function} selectableFn - 可勾选判断函数 (row, index) => boolean
+ * @param {Function} [getChildren] - 获取子节点 (row, key) => children，未传时取 row[childrenField]
+ * @returns {Map} key -> { row, parentKey, childKeys, selectable }
+ */
+function buildSelectionIndex(data, treeConfig, getKey, selectableFn, getChildren) {
+  const nodes = new Map()
+  const isTree = Boolean(treeConfig?.enabled)
+
+  const isSelectable = (row, index) => {
+    if (!selectableFn) return true
+    try {
+      return selectableFn(row, index) !== false
+    } catch (e) {
+      console.error('可勾选判断脚本执行错误:', e)
+      return true
+    }
+  }
+
+  const walk = (rows, parentKey) => {
+    const keys = []
+    rows.forEach((row, i) => {
+      const key = getKey(row, isTree ? `${parentKey}-${i}` : i)
+      const node = { row, parentKey, childKeys: [], selectable: isSelectable(row, i) }
+      nodes.set(key, node)
+      keys.push(key)
+
+      let children = null
+      if (isTree) {
+        children = getChildren ? getChildren(row, key) : row[treeConfig.childrenField]
+      }
+      if (Array.isArray(children) && children.length > 0) {
+        node.childKeys = walk(children, key)
+      }
+    })
+    return keys
+  }
+
+  if (Array.isArray(data)) {
+    walk(data, null)
+  }
+  return nodes
+}
+
+/**
+ * 表格勾选 Hook
+ * 管理勾选列的选中状态，支持全选/半选、不可勾选行和树形级联勾选
+ * 选中状态以 rowKey 记录，排序、筛选或数据刷新后仍跟随原记录
+ * @param {Object} options - 勾选配置
+ * @param {boolean} options.enabled - 是否启用勾选列
+ * @param {boolean} options.checkStrictly - 树形模式下父子节点是否互不关联
+ * @param {Function} options.selectableFn - 可勾选判断函数 (row, index) => boolean
+ * @param {Array} data - 表格数据（普通模式为排序后的数据，树形模式为层级内排序后的树形数据）
+ * @param {Object} treeConfig - 树形配置
+ * @param {Function} getKey - 获取行标识 (row, fallback) => key
+ * @param {Function} [getChildren] - 树形模式获取子节点 (row, key) => children（懒加载模式取已加载的子节点）
+ * @returns {Object} 勾选状态和方法
+ */
+export function useTableSelection({ enabled, checkStrictly, selectableFn }, data, treeConfig, getKey, getChildren) {
+  // 选中的行 key 集合
+  const [selectedKeys, setSelectedKeys] = useState(() => new Set())
+
+  // 勾选节点索引
+  const nodes = useMemo(() => {
+    if (!enabled) return new Map()
+    return buildSelectionIndex(data, treeConfig, getKey, selectableFn, getChildren)
+  }, [enabled, data, treeConfig, getKey, selectableFn, getChildren])
+
+  // 是否级联勾选（仅树形模式且未开启父子不关联）
+  const cascade = Boolean(treeConfig?.enabled) && !checkStrictly
+
+  // 数据变化时移除已不存在的行
+  useEffect(() => {
+    setSelectedKeys((prev) => {
+      if (prev.size === 0) return prev
+      const next = new Set([...prev].filter((key) => nodes.has(key)))
+      return next.size === prev.size ? prev : next
+    })
+  }, [nodes])
+
+  // 半选状态的节点（级联模式下：自身未选中但有子孙节点被选中）
+  const indeterminateKeys = useMemo(() => {
+    const result = new Set()
+    if (!cascade) return result
+
+    const visit = (key) => {
+      const node = nodes.get(key)
+      let hasSelected = false
+      node.childKeys.forEach((childKey) => {
+        if (visit(childKey)) hasSelected = true
+      })
+      if (hasSelected && !selectedKeys.has(key)) {
+        result.add(key)
+      }
+      return hasSelected || selectedKeys.has(key)
+    }
+    nodes.forEach((node, key) => {
+      if (node.parentKey === null) visit(key)
+    })
+    return result
+  }, [cascade, nodes, selectedKeys])
+
+  // 表头全选状态
+  const allSelectionState = useMemo(() => {
+    let total = 0
+    let selected = 0
+    nodes.forEach((node, key) => {
+      if (!node.selectable) return
+      total++
+      if (selectedKeys.has(key)) selected++
+    })
+    return {
+      checked: total > 0 && selected === total,
+      indeterminate: selected > 0 && selected < total,
+      disabled: total === 0,
+    }
+  }, [nodes, selectedKeys])
+
+  /**
+   * 根据 key 集合获取选中行（按数据顺序）
+   * @param {Set} keys - 选中的 key 集合
+   * @returns {Array} 选中的行数据
+   */
+  const getSelectedRows = useCallback(
+    (keys) => {
+      const rows = []
+      nodes.forEach((node, key) => {
+        if (keys.has(key)) rows.push(node.row)
+      })
+      return rows
+    },
+    [nodes]
+  )
+
+  /**
+   * 判断行是否可勾选，不在勾选索引中的行不可勾选
+   * @param {any} key - 行标识
+   * @returns {boolean}
+   */
+  const isSelectable = useCallback((key) => nodes.get(key)?.selectable === true, [nodes])
+
+  /**
+   * 切换行勾选状态
+   * 级联模式下同时勾选/取消所有子孙节点，并根据子节点状态更新祖先节点
+   * @param {any} key - 行标识
+   * @returns {Object|null} { selection, row, selected } 勾选结果
+   */
+  const toggleRowSelection = useCallback(
+    (key) => {
+      const node = nodes.get(key)
+      if (!node || !node.selectable) return null
+
+      // 半选状态的节点点击后视为全选
+      const selected = !selectedKeys.has(key)
+      const next = new Set(selectedKeys)
+
+      if (!cascade) {
+        if (selected) next.add(key)
+        else next.delete(key)
+      } else {
+        // 勾选/取消整棵子树
+        const applySubtree = (k) => {
+          const n = nodes.get(k)
+          if (n.selectable) {
+            if (selected) next.add(k)
+            else next.delete(k)
+          }
+          n.childKeys.forEach(applySubtree)
+        }
+        applySubtree(key)
+
+        // 向上更新祖先：所有可勾选子节点均选中时父节点选中，否则取消
+        let parentKey = node.parentKey
+        while (parentKey !== null) {
+          const parent = nodes.get(parentKey)
+          const selectableChildren = parent.childKeys.filter((k) => nodes.get(k).selectable)
+          if (parent.selectable && selectableChildren.length > 0) {
+            if (selectableChildren.every((k) => next.has(k))) next.add(parentKey)
+            else next.delete(parentKey)
+          }
+          parentKey = parent.parentKey
+        }
+      }
+
+      setSelectedKeys(next)
+      return { selection: getSelectedRows(next), row: node.row, selected }
+    },
+    [nodes, selectedKeys, cascade, getSelectedRows]
+  )
+
+  /**
+   * 切换全选状态：全部选中时取消全选，否则选中所有可勾选行
+   * @returns {Object} { selection, selected } 勾选结果
+   */
+  const toggleAllSelection = useCallback(() => {
+    const selected = !allSelectionState.checked
+    const next = new Set()
+    nodes.forEach((node, key) => {
+      // 不可勾选的行保持原状态
+      const keep = node.selectable ? selected : selectedKeys.has(key)
+      if (keep) next.add(key)
+    })
+    setSelectedKeys(next)
+    return { selection: getSelectedRows(next), selected }
+  }, [nodes, selectedKeys, allSelectionState, getSelectedRows])
+
+  /**
+   * 清空勾选
+   */
+  const clearSelection = useCallback(() => {
+    setSelectedKeys(new Set())
+  }, [])
+
+  return {
+    selectedKeys,
+    indeterminateKeys,
+    allSelectionState,
+    isSelectable,
+    toggleRowSelection,
+    toggleAllSelection,
+    clearSelection,
+  }
+}
+
+export default useTableSelection
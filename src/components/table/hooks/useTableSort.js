@@ -1,107 +1,208 @@
 import { useState, useMemo, useCallback } from 'react'
 
+const DEFAULT_SORT_ORDERS = ['ascending', 'descending', null]
+
 /**
- * 表格排序 Hook
- * 处理列排序逻辑，支持自定义排序脚本
- * @param {Array} data - 表格数据
- * @param {Array} columns - 列配置
- * @param {Object} defaultSort - 默认排序配置 { prop, order }
- * @returns {Object} 排序状态和方法
+ * 标准化默认排序配置
+ * 支持单个对象 { prop, order } 或数组 [{ prop, order }, ...]（数组顺序即优先级）
+ * @param {Object|Array} defaultSort - 默认排序配置
+ * @returns {Array} 排序条件列表
+ */
+function normalizeSorts(defaultSort) {
+  if (!defaultSort) return []
+  const list = Array.isArray(defaultSort) ? defaultSort : [defaultSort]
+  return list
+    .filter((item) => item && item.prop)
+    .map((item) => ({
+      prop: item.prop,
+      order: item.order || 'ascending',
+    }))
+}
+
+// 中文本地化比较器：复用同一个实例，避免每次比较都创建（大数据量排序的主要耗时）
+const collator = typeof Intl !== 'undefined' ? new Intl.Collator('zh-CN') : null
+
+/**
+ * 默认比较逻辑：空值排在最后，数字按大小，其余按中文本地化比较
+ * @param {*} valA - 值 A
+ * @param {*} valB - 值 B
+ * @returns {number} 比较结果
  */
-export function useTableSort(data, columns, defaultSort) {
-  // 排序状态
-  const [sortState, setSortState] = useState(() => {
-    if (defaultSort) {
-      return { prop: defaultSort.prop, order: defaultSort.order || 'ascending' }
+function compareValues(valA, valB) {
+  if (valA === valB) return 0
+  if (valA === null || valA === undefined) return 1
+  if (valB === null || valB === undefined) return -1
+  if (typeof valA === 'number' && typeof valB === 'number') return valA - valB
+  return collator ? collator.compare(String(valA), String(valB)) : String(valA).localeCompare(String(valB), 'zh-CN')
+}
+
+/**
+ * 根据排序条件列表创建比较函数
+ * 按优先级依次比较，前一个条件相等时才比较下一个
+ * 列的自定义排序脚本 sortScript 由脚本引擎编译并缓存，而非每次比较都解析
+ * 脚本参数为 (a, b, prop, order)；树形表格沿用旧版本的参数 (a, b, order)，已有的树形排序脚本无需修改
+ * @param {Array} sorts - 排序条件列表 [{ prop, order, column }]
+ * @param {Object} [scriptEngine] - 脚本引擎
+ * @param {boolean} [isTree] - 是否为树形表格的层级内排序
+ * @returns {Function|null} 比较函数 (a, b) => number
+ */
+export function createSortComparator(sorts, scriptEngine, isTree = false) {
+  const activeSorts = (sorts || []).filter((s) => s.prop && s.order)
+  if (activeSorts.length === 0) return null
+
+  const comparators = activeSorts.map(({ prop, order, column }) => {
+    // 用户脚本应返回: 负数 (a < b), 0 (a == b), 正数 (a > b)，且自行处理排序方向
+    // 脚本出错时返回 undefined，回退到默认排序
+    const sortFn = scriptEngine
+      ? scriptEngine.compile(
+          `columns.${prop}.sortScript`,
+          column?.sortScript,
+          isTree ? ['a', 'b', 'order'] : ['a', 'b', 'prop', 'order'],
+          { label: '自定义排序脚本', meta: () => ({ column: prop }) }
+        )
+      : null
+
+    return (a, b) => {
+      if (sortFn) {
+        const result = isTree ? sortFn(a, b, order) : sortFn(a, b, prop, order)
+        // 如果脚本返回有效数字，直接使用（脚本自行处理排序方向）
+        if (typeof result === 'number') {
+          return result
+        }
+      }
+      const result = compareValues(a[prop], b[prop])
+      return order === 'ascending' ? result : -result
     }
-    return { prop: null, order: null }
   })
 
-  // 排序后的数据
-  const sortedData = useMemo(() => {
-    if (!sortState.prop || !sortState.order) {
-      return data
+  return (a, b) => {
+    for (let i = 0; i < comparators.length; i++) {
+      const result = comparators[i](a, b)
+      if (result) return result
     }
+    return 0
+  }
+}
 
-    const column = columns.find((col) => col.prop === sortState.prop)
-    if (!column) return data
-
-    // 获取自定义排序脚本
-    const customSortScript = column.sortScript
-
-    return [...data].sort((a, b) => {
-      let result
-
-      // 使用自定义排序脚本（如果提供）
-      if (customSortScript && typeof customSortScript === 'string') {
-        try {
-          // 从脚本创建函数: function(a, b, prop, order) { ...script... }
-          // 用户脚本应返回: 负数 (a < b), 0 (a == b), 正数 (a > b)
-          const sortFn = new Function('a', 'b', 'prop', 'order', customSortScript)
-          result = sortFn(a, b, sortState.prop, sortState.order)
-          // 如果脚本返回有效数字，直接使用（脚本自行处理排序方向）
-          if (typeof result === 'number') {
-            return result
-          }
-        } catch (e) {
-          console.error('自定义排序脚本错误:', e)
-          // 回退到默认排序
-        }
-      }
+/**
+ * 计算点击某列后的排序条件列表
+ * @param {Array} sorts - 当前排序条件列表
+ * @param {Object} column - 被点击的列
+ * @param {boolean} multiple - 是否多列排序（追加/切换该列，保留其他列）
+ * @returns {Array} 新的排序条件列表
+ */
+function getNextSorts(sorts, column, multiple) {
+  const sortOrders = column.sortOrders || DEFAULT_SORT_ORDERS
+  const existingIndex = sorts.findIndex((s) => s.prop === column.prop)
+  const currentIndex = existingIndex === -1 ? -1 : sortOrders.indexOf(sorts[existingIndex].order)
+  const nextOrder = sortOrders[(currentIndex + 1) % sortOrders.length]
+
+  if (!multiple) {
+    // 单列排序：替换为当前列
+    return nextOrder ? [{ prop: column.prop, order: nextOrder, column }] : []
+  }
 
-      // 默认排序逻辑
-      const valA = a[sortState.prop]
-      const valB = b[sortState.prop]
-
-      if (valA === valB) {
-        result = 0
-      } else if (valA === null || valA === undefined) {
-        result = 1
-      } else if (valB === null || valB === undefined) {
-        result = -1
-      } else if (typeof valA === 'number' && typeof valB === 'number') {
-        result = valA - valB
-      } else {
-        result = String(valA).localeCompare(String(valB), 'zh-CN')
-      }
+  // 多列排序：已存在则原位切换顺序（取消时移除），否则追加为最低优先级
+  if (existingIndex === -1) {
+    return nextOrder ? [...sorts, { prop: column.prop, order: nextOrder, column }] : sorts
+  }
+  if (!nextOrder) {
+    return sorts.filter((_, i) => i !== existingIndex)
+  }
+  return sorts.map((s, i) => (i === existingIndex ? { ...s, order: nextOrder, column } : s))
+}
 
-      return sortState.order === 'ascending' ? result : -result
-    })
-  }, [data, sortState, columns])
+/**
+ * 表格排序 Hook
+ * 处理列排序逻辑，支持自定义排序脚本和多列排序
+ * @param {Array} data - 表格数据
+ * @param {Array} columns - 列配置
+ * @param {Object|Array} defaultSort - 默认排序配置 { prop, order } 或其数组
+ * @param {boolean} multiSort - 是否默认多列排序（关闭时按住 Shift 点击也可追加排序列）
+ * @param {Object} scriptEngine - 脚本引擎（编译列的 sortScript）
+ * @returns {Object} 排序状态和方法
+ */
+export function useTableSort(data, columns, defaultSort, multiSort = false, scriptEngine = null) {
+  // 排序条件列表，数组顺序即优先级
+  const [sorts, setSorts] = useState(() => normalizeSorts(defaultSort))
+
+  // 排序状态：prop/order/column 为第一优先级，兼容单列排序的使用方式
+  // sorts 中的列对象按当前列配置解析，用于获取排序脚本（含树形排序）
+  const sortState = useMemo(() => {
+    const resolvedSorts = sorts.map((s) => ({
+      ...s,
+      column: columns.find((col) => col.prop === s.prop) || s.column || null,
+    }))
+    const primary = resolvedSorts[0]
+    return {
+      prop: primary ? primary.prop : null,
+      order: primary ? primary.order : null,
+      column: primary ? primary.column : null,
+      sorts: resolvedSorts,
+    }
+  }, [sorts, columns])
 
-  // 处理排序点击
+  // 排序后的数据
+  const sortedData = useMemo(() => {
+    const comparator = createSortComparator(sortState.sorts, scriptEngine)
+    if (!comparator) return data
+    return [...data].sort(comparator)
+  }, [data, sortState, scriptEngine])
+
+  /**
+   * 处理排序点击
+   * @param {Object} column - 被点击的列
+   * @param {boolean} appendKey - 是否追加排序列（如按住 Shift 点击）
+   * @returns {Array} 新的排序条件列表
+   */
   const handleSort = useCallback(
-    (column) => {
-      if (!column.sortable) return
-
-      const sortOrders = column.sortOrders || ['ascending', 'descending', null]
-      let currentIndex = sortOrders.indexOf(sortState.order)
+    (column, appendKey = false) => {
+      if (!column.sortable) return sorts
+      const nextSorts = getNextSorts(sorts, column, multiSort || appendKey)
+      setSorts(nextSorts)
+      return nextSorts
+    },
+    [sorts, multiSort]
+  )
 
-      if (sortState.prop !== column.prop) {
-        currentIndex = -1
+  /**
+   * 按指定列和顺序排序（供外部动作调用，不受 sortable 限制）
+   * @param {string} prop - 列字段
+   * @param {string|null} order - ascending | descending，为空时取消该列排序
+   * @param {boolean} append - 是否保留其他排序列（多列排序）
+   * @returns {Array} 新的排序条件列表
+   */
+  const sortBy = useCallback(
+    (prop, order, append = false) => {
+      const column = columns.find((col) => col.prop === prop)
+      if (!column) return sorts
+      const nextOrder = order === 'ascending' || order === 'descending' ? order : null
+      let nextSorts
+      if (!append) {
+        nextSorts = nextOrder ? [{ prop, order: nextOrder, column }] : []
+      } else if (!nextOrder) {
+        nextSorts = sorts.filter((s) => s.prop !== prop)
+      } else if (sorts.some((s) => s.prop === prop)) {
+        nextSorts = sorts.map((s) => (s.prop === prop ? { ...s, order: nextOrder, column } : s))
+      } else {
+        nextSorts = [...sorts, { prop, order: nextOrder, column }]
       }
-
-      const nextIndex = (currentIndex + 1) % sortOrders.length
-      const nextOrder = sortOrders[nextIndex]
-
-      setSortState({
-        prop: nextOrder ? column.prop : null,
-        order: nextOrder,
-        column: nextOrder ? column : null, // 保存列对象，用于树形排序获取排序脚本
-      })
+      setSorts(nextSorts)
+      return nextSorts
     },
-    [sortState]
+    [columns, sorts]
   )
 
   // 重置排序
   const resetSort = useCallback(() => {
-    setSortState({ prop: null, order: null })
+    setSorts([])
   }, [])
 
   return {
     sortState,
     sortedData,
     handleSort,
+    sortBy,
     resetSort,
   }
 }
@@ -0,0 +1,98 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
+
+/**
+ * 解析提示框内容
+ * 渲染脚本返回 false 时不显示；返回字符串作为 HTML，返回对象或数组作为元素配置；
+ * 未返回内容时，开启 showOverflowTooltip 的列在内容溢出时显示单元格文本
+ * @param {Function} renderFn - 提示框渲染函数 (row, column, value) => content
+ * @param {HTMLElement} target - 单元格元素
+ * @param {Object} payload - { row, column, value }
+ * @returns {Object|null} { html } / { elements } / { text }，无内容时返回 null
+ */
+function resolveContent(renderFn, target, { row, column, value }) {
+  const result = renderFn ? renderFn(row, column, value) : undefined
+  if (result === false) return null
+  if (result !== null && result !== undefined && result !== '') {
+    if (typeof result === 'object') {
+      return { elements: Array.isArray(result) ? result : [result] }
+    }
+    return { html: String(result) }
+  }
+
+  if (!column.showOverflowTooltip) return null
+  // 单元格的第一个子元素为内容容器
+  const content = target.firstElementChild || target
+  const overflowing = content.scrollWidth > content.clientWidth || target.scrollWidth > target.clientWidth
+  const text = content.textContent
+  return overflowing && text ? { text } : null
+}
+
+/**
+ * 悬停提示框 Hook
+ * 鼠标移入单元格或表头单元格 showDelay 毫秒后显示，移出 hideDelay 毫秒后隐藏；
+ * 提示框已显示时在单元格之间移动立即切换，移入提示框本身时保持显示
+ * @param {Object} options - 提示框配置 { enabled, showDelay, hideDelay, renderFn }
+ * @returns {Object} { tooltip, handlers }
+ *   tooltip: 当前提示框 { target, content, row, value } 或 null；
+ *   handlers: 未启用时为 null，否则为 { show(target, payload), hide(), keep() }
+ */
+export function useTooltip(options) {
+  const { enabled, showDelay, hideDelay, renderFn } = options
+
+  const [tooltip, setTooltip] = useState(null)
+  const visibleRef = useRef(false)
+  visibleRef.current = tooltip !== null
+  const showTimerRef = useRef(null)
+  const hideTimerRef = useRef(null)
+
+  const clearTimers = useCallback(() => {
+    clearTimeout(showTimerRef.current)
+    clearTimeout(hideTimerRef.current)
+  }, [])
+
+  const show = useCallback(
+    (target, payload) => {
+      clearTimers()
+      const content = resolveContent(renderFn, target, payload)
+      if (!content) {
+        if (visibleRef.current) setTooltip(null)
+        return
+      }
+      const open = () => setTooltip({ target, content, row: payload.row, value: payload.value })
+      if (visibleRef.current || !showDelay) {
+        open()
+      } else {
+        showTimerRef.current = setTimeout(open, showDelay)
+      }
+    },
+    [renderFn, showDelay, clearTimers]
+  )
+
+  const hide = useCallback(() => {
+    clearTimers()
+    if (!hideDelay) {
+      setTooltip(null)
+      return
+    }
+    hideTimerRef.current = setTimeout(() => setTooltip(null), hideDelay)
+  }, [hideDelay, clearTimers])
+
+  // 鼠标移入提示框时取消隐藏
+  const keep = useCallback(() => clearTimeout(hideTimerRef.current), [])
+
+  // 关闭提示框时立即隐藏
+  useEffect(() => {
+    if (enabled) return
+    clearTimers()
+    setTooltip(null)
+  }, [enabled, clearTimers])
+
+  // 卸载时清除定时器
+  useEffect(() => clearTimers, [clearTimers])
+
+  const handlers = useMemo(() => (enabled ? { show, hide, keep } : null), [enabled, show, hide, keep])
+
+  return { tooltip: enabled ? tooltip : null, handlers }
+}
+
+export default useTooltip
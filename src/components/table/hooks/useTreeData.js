@@ -1,16 +1,16 @@
 import { useState, useMemo, useCallback, useEffect, useRef } from 'react'
+import { getRowKey } from '../utils'
+import { createSortComparator } from './useTableSort'
 
 /**
  * 树形数据层级内排序
  * @param {Array} treeData - 树形数据
  * @param {string} childrenField - 子节点字段名
- * @param {string} sortProp - 排序字段
- * @param {string} sortOrder - 排序方向 (ascending/descending)
- * @param {Function} sortScript - 自定义排序函数
+ * @param {Function} comparator - 比较函数（由排序条件列表生成，支持多列排序）
  * @returns {Array} 排序后的树形数据
  */
-function sortTreeData(treeData, childrenField, sortProp, sortOrder, sortScript) {
-  if (!Array.isArray(treeData) || !sortProp || !sortOrder) {
+function sortTreeData(treeData, childrenField, comparator) {
+  if (!Array.isArray(treeData) || !comparator) {
     return treeData
   }
 
@@ -19,32 +19,13 @@ function sortTreeData(treeData, childrenField, sortProp, sortOrder, sortScript)
     const newNode = { ...node }
     // 如果有子节点，递归排序
     if (newNode[childrenField] && Array.isArray(newNode[childrenField]) && newNode[childrenField].length > 0) {
-      newNode[childrenField] = sortTreeData(newNode[childrenField], childrenField, sortProp, sortOrder, sortScript)
+      newNode[childrenField] = sortTreeData(newNode[childrenField], childrenField, comparator)
     }
     return newNode
   })
 
   // 排序当前层级
-  sortedData.sort((a, b) => {
-    if (sortScript) {
-      try {
-        // 使用自定义排序脚本
-        return sortScript(a, b, sortOrder)
-      } catch (e) {
-        console.error('树形排序脚本执行错误:', e)
-        return 0
-      }
-    }
-
-    // 默认排序逻辑
-    const aVal = a[sortProp]
-    const bVal = b[sortProp]
-
-    if (aVal === bVal) return 0
-
-    const compareResult = aVal > bVal ? 1 : -1
-    return sortOrder === 'ascending' ? compareResult : -compareResult
-  })
+  sortedData.sort(comparator)
 
   return sortedData
 }
@@ -54,12 +35,26 @@ function sortTreeData(treeData, childrenField, sortProp, sortOrder, sortScript)
  * 处理树形表格的数据扁平化、展开/收起状态、懒加载等功能
  * @param {Object} treeConfig - 树形配置
  * @param {Array} data - 原始数据
- * @param {Object} sortState - 排序状态 { prop, order }
+ * @param {Object} sortState - 排序状态 { prop, order, sorts }
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @param {Object} scriptEngine - 脚本引擎（编译列的 sortScript）
  * @returns {Object} 树形数据相关状态和方法
  */
-export function useTreeData(treeConfig, data, sortState) {
+export function useTreeData(treeConfig, data, sortState, rowKey, scriptEngine = null) {
   const { enabled, childrenField, defaultExpandAll, defaultExpandLevel, lazy, lazyLoadFn } = treeConfig
 
+  /**
+   * 获取节点 ID：使用 rowKey，取不到时按父节点 ID 与位置生成
+   * @param {Object} node - 节点数据
+   * @param {any} parentId - 父节点ID
+   * @param {number} index - 在同级中的位置
+   * @returns {any} 节点ID
+   */
+  const getNodeId = useCallback(
+    (node, parentId, index) => getRowKey(node, rowKey, `${parentId}-${index}`),
+    [rowKey]
+  )
+
   // 展开的节点 ID 集合
   const [expandedKeys, setExpandedKeys] = useState(new Set())
   // 懒加载的子节点数据 Map: nodeId -> children
@@ -67,6 +62,17 @@ export function useTreeData(treeConfig, data, sortState) {
   // 正在加载的节点 ID 集合
   const [loadingKeys, setLoadingKeys] = useState(new Set())
 
+  /**
+   * 获取节点的子节点：懒加载模式取已加载的子节点，否则取节点的 children 字段
+   * @param {Object} node - 节点数据
+   * @param {any} nodeId - 节点ID
+   * @returns {Array|undefined} 子节点列表
+   */
+  const getChildren = useCallback(
+    (node, nodeId) => (lazy ? lazyLoadedData.get(nodeId) : node[childrenField]),
+    [lazy, lazyLoadedData, childrenField]
+  )
+
   /**
    * 扁平化树形数据
    * @param {Array} treeData - 树形数据
@@ -82,7 +88,7 @@ export function useTreeData(treeConfig, data, sortState) {
 
       for (let i = 0; i < treeData.length; i++) {
         const node = treeData[i]
-        const nodeId = node.id || `${parentId}-${i}`
+        const nodeId = getNodeId(node, parentId, i)
 
         // 添加当前节点（带有树形元数据）
         result.push({
@@ -121,7 +127,7 @@ export function useTreeData(treeConfig, data, sortState) {
 
       return result
     },
-    [childrenField, expandedKeys, lazy, lazyLoadedData, loadingKeys]
+    [childrenField, expandedKeys, lazy, lazyLoadedData, loadingKeys, getNodeId]
   )
 
   /**
@@ -148,13 +154,13 @@ export function useTreeData(treeConfig, data, sortState) {
     // 全部展开
     if (defaultExpandAll) {
       const allKeys = new Set()
-      const collectKeys = (nodes, level = 0) => {
+      const collectKeys = (nodes, level = 0, parentId = null) => {
         if (!Array.isArray(nodes)) return
-        nodes.forEach((node) => {
-          const nodeId = node.id
-          if (nodeId && node[childrenField] && node[childrenField].length > 0) {
+        nodes.forEach((node, i) => {
+          const nodeId = getNodeId(node, parentId, i)
+          if (node[childrenField] && node[childrenField].length > 0) {
             allKeys.add(nodeId)
-            collectKeys(node[childrenField], level + 1)
+            collectKeys(node[childrenField], level + 1, nodeId)
           }
         })
       }
@@ -166,14 +172,14 @@ export function useTreeData(treeConfig, data, sortState) {
     // 按层级展开
     if (defaultExpandLevel > 0) {
       const keysToExpand = new Set()
-      const collectKeys = (nodes, level = 0) => {
+      const collectKeys = (nodes, level = 0, parentId = null) => {
         if (!Array.isArray(nodes)) return
         if (level >= defaultExpandLevel) return
-        nodes.forEach((node) => {
-          const nodeId = node.id
-          if (nodeId && node[childrenField] && node[childrenField].length > 0) {
+        nodes.forEach((node, i) => {
+          const nodeId = getNodeId(node, parentId, i)
+          if (node[childrenField] && node[childrenField].length > 0) {
             keysToExpand.add(nodeId)
-            collectKeys(node[childrenField], level + 1)
+            collectKeys(node[childrenField], level + 1, nodeId)
           }
         })
       }
@@ -184,7 +190,7 @@ export function useTreeData(treeConfig, data, sortState) {
 
     // defaultExpandLevel === 0 或其他情况，全部收起
     setExpandedKeys(new Set())
-  }, [enabled, data, childrenField, defaultExpandAll, defaultExpandLevel])
+  }, [enabled, data, childrenField, defaultExpandAll, defaultExpandLevel, getNodeId])
 
   /**
    * 切换节点展开/收起
@@ -251,19 +257,19 @@ export function useTreeData(treeConfig, data, sortState) {
   const expandAll = useCallback(() => {
     if (!enabled || !data) return
     const allKeys = new Set()
-    const collectKeys = (nodes) => {
+    const collectKeys = (nodes, parentId = null) => {
       if (!Array.isArray(nodes)) return
-      nodes.forEach((node) => {
-        const nodeId = node.id
-        if (nodeId && node[childrenField] && node[childrenField].length > 0) {
+      nodes.forEach((node, i) => {
+        const nodeId = getNodeId(node, parentId, i)
+        if (node[childrenField] && node[childrenField].length > 0) {
           allKeys.add(nodeId)
-          collectKeys(node[childrenField])
+          collectKeys(node[childrenField], nodeId)
         }
       })
     }
     collectKeys(data)
     setExpandedKeys(allKeys)
-  }, [enabled, data, childrenField])
+  }, [enabled, data, childrenField, getNodeId])
 
   /**
    * 收起所有节点
@@ -273,42 +279,91 @@ export function useTreeData(treeConfig, data, sortState) {
     setExpandedKeys(new Set())
   }, [enabled])
 
+  // 层级内排序后的树形数据（按排序条件列表依次比较）
+  const sortedTreeData = useMemo(() => {
+    if (!enabled || !data) return data || []
+    const comparator = createSortComparator(sortState?.sorts, scriptEngine, true)
+    return sortTreeData(data, childrenField, comparator)
+  }, [enabled, data, sortState, childrenField, scriptEngine])
+
   // 扁平化后的表格数据（应用排序）
   const flatData = useMemo(() => {
     if (!enabled || !data) return data || []
+    return flattenTreeData(sortedTreeData, 0, null)
+  }, [enabled, data, sortedTreeData, flattenTreeData])
 
-    // 先进行树形层级内排序
-    let sortedTreeData = data
-    if (sortState && sortState.prop && sortState.order) {
-      // 查找对应列的排序脚本
-      const column = sortState.column
-      const sortScript = column?.sortScript
-        ? (() => {
-            try {
-              // sortScript 是字符串，需要解析成函数
-              return new Function('a', 'b', 'order', sortScript)
-            } catch (e) {
-              console.error('排序脚本解析错误:', e)
-              return null
+  /**
+   * 在完整的树形数据中查找节点（含收起节点下的子节点，懒加载模式只查找已加载的子节点）
+   * @param {any} key - 节点 ID（按字符串比较）
+   * @returns {Object|null} { nodeId, ancestorIds, row }，row 带有与扁平化数据相同的树形元数据
+   */
+  const findNode = useCallback(
+    (key) => {
+      if (!enabled || key === undefined || key === null) return null
+      const search = (nodes, level, parentId, ancestorIds) => {
+        if (!Array.isArray(nodes)) return null
+        for (let i = 0; i < nodes.length; i++) {
+          const node = nodes[i]
+          const nodeId = getNodeId(node, parentId, i)
+          const children = getChildren(node, nodeId)
+          if (String(nodeId) === String(key)) {
+            const hasChildren = lazy ? node.hasChildren !== false : Boolean(children && children.length > 0)
+            return {
+              nodeId,
+              ancestorIds,
+              row: {
+                ...node,
+                __treeNodeId__: nodeId,
+                __treeLevel__: level,
+                __treeParentId__: parentId,
+                __treeHasChildren__: hasChildren,
+                __treeIsLeaf__: !hasChildren,
+                __treeIsExpanded__: expandedKeys.has(nodeId),
+                __treeIsLoading__: loadingKeys.has(nodeId),
+              },
             }
-          })()
-        : null
-
-      sortedTreeData = sortTreeData(data, childrenField, sortState.prop, sortState.order, sortScript)
-    }
+          }
+          const found = search(children, level + 1, nodeId, [...ancestorIds, nodeId])
+          if (found) return found
+        }
+        return null
+      }
+      return search(sortedTreeData, 0, null, [])
+    },
+    [enabled, sortedTreeData, lazy, getChildren, expandedKeys, loadingKeys, getNodeId]
+  )
 
-    // 扁平化排序后的树形数据
-    return flattenTreeData(sortedTreeData, 0, null)
-  }, [enabled, data, sortState, childrenField, flattenTreeData])
+  /**
+   * 展开节点的所有祖先节点，使节点显示在表格中
+   * @param {any} key - 节点 ID
+   * @returns {Object|null} 找到的节点（同 findNode），未找到时返回 null
+   */
+  const expandToNode = useCallback(
+    (key) => {
+      const found = findNode(key)
+      if (found && found.ancestorIds.some((id) => !expandedKeys.has(id))) {
+        setExpandedKeys((prev) => {
+          const newSet = new Set(prev)
+          found.ancestorIds.forEach((id) => newSet.add(id))
+          return newSet
+        })
+      }
+      return found
+    },
+    [findNode, expandedKeys]
+  )
 
   return {
     // 状态
     expandedKeys,
     loadingKeys,
     flatData, // 扁平化后的数据（用于表格渲染）
+    treeData: sortedTreeData, // 排序后的完整树形数据（含未展开节点，用于级联勾选）
 
     // 方法
+    getChildren,
     toggleNodeExpand,
+    expandToNode,
     expandAll,
     collapseAll,
   }
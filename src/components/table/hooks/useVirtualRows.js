@@ -0,0 +1,143 @@
+import { useState, useMemo, useEffect, useLayoutEffect, useRef, useCallback } from 'react'
+
+/**
+ * 二分查找：返回偏移量 top 所在的行索引
+ * @param {Array} offsets - 行起始偏移量数组（长度为行数 + 1）
+ * @param {number} top - 纵向偏移量
+ * @returns {number} 行索引
+ */
+function findRowIndex(offsets, top) {
+  let low = 0
+  let high = offsets.length - 2
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (offsets[mid] <= top) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return Math.max(0, low)
+}
+
+/**
+ * 虚拟滚动 Hook
+ * 只渲染可视区域内的行及上下缓冲行，其余行用占位行撑开滚动高度
+ * 行高以实际渲染高度为准并按 rowKey 缓存（含展开行），未渲染过的行按预估行高计算
+ * @param {Object} options - 虚拟滚动配置
+ * @param {boolean} options.enabled - 是否启用
+ * @param {Object} options.containerRef - 表体滚动容器 ref
+ * @param {Array} options.data - 表格数据
+ * @param {Function} options.getKey - 获取行唯一标识的函数 (row, rowIndex) => key
+ * @param {number} options.rowHeight - 预估行高
+ * @param {number} options.rowGap - 行间距
+ * @param {Set} [options.expandedRows] - 展开行的 key 集合（展开状态变化时重新测量行高）
+ * @param {number} options.buffer - 可视区域外额外渲染的行数
+ * @param {number} options.viewHeight - 容器挂载前使用的预估可视高度
+ * @returns {Object} 渲染区间 { enabled, start, end, topHeight, bottomHeight, offsets }，offsets 为每行的起始偏移量（用于定位未渲染的行）
+ */
+export function useVirtualRows(options) {
+  const { enabled, containerRef, data, getKey, rowHeight, rowGap = 0, buffer = 10, viewHeight = 0, expandedRows } = options
+  const rowCount = data.length
+
+  // 已测量的行高度：rowKey -> 高度（含展开行与行间距）
+  const heightsRef = useRef(new Map())
+  const [measureVersion, setMeasureVersion] = useState(0)
+
+  const estimateHeight = rowHeight + rowGap
+
+  // 首次渲染时容器尚未挂载，按预估可视高度计算初始区间
+  const [range, setRange] = useState(() => ({
+    start: 0,
+    end: Math.min(rowCount, Math.ceil(viewHeight / Math.max(estimateHeight, 1)) + buffer),
+  }))
+
+  // 每行的起始偏移量
+  const offsets = useMemo(() => {
+    const result = new Array(rowCount + 1)
+    result[0] = 0
+    for (let i = 0; i < rowCount; i++) {
+      result[i + 1] = result[i] + (heightsRef.current.get(getKey(data[i], i)) ?? estimateHeight)
+    }
+    return result
+    // measureVersion 变化表示 heightsRef 中的测量值已更新
+  }, [data, getKey, rowCount, estimateHeight, measureVersion])
+
+  // 根据当前滚动位置计算渲染区间
+  const updateRange = useCallback(() => {
+    const container = containerRef.current
+    const scrollTop = container ? container.scrollTop : 0
+    const clientHeight = container ? container.clientHeight : viewHeight
+
+    const first = findRowIndex(offsets, scrollTop)
+    const last = findRowIndex(offsets, scrollTop + clientHeight)
+    const next = {
+      start: Math.max(0, first - buffer),
+      end: Math.min(rowCount, last + 1 + buffer),
+    }
+
+    // 区间未变化时不触发重新渲染
+    setRange((prev) => (prev.start === next.start && prev.end === next.end ? prev : next))
+  }, [containerRef, offsets, rowCount, buffer, viewHeight])
+
+  // 监听表体滚动（包括自动滚动修改 scrollTop 触发的滚动）
+  useEffect(() => {
+    if (!enabled) return
+    updateRange()
+
+    const container = containerRef.current
+    if (!container) return
+
+    container.addEventListener('scroll', updateRange, { passive: true })
+    return () => {
+      container.removeEventListener('scroll', updateRange)
+    }
+  }, [enabled, containerRef, updateRange])
+
+  // 测量已渲染行的实际高度，展开行高度计入所属数据行
+  // 只在渲染的行或行高相关配置变化时测量，避免悬停等无关渲染强制同步布局
+  useLayoutEffect(() => {
+    if (!enabled || !containerRef.current) return
+
+    const rows = containerRef.current.querySelectorAll(':scope > table > tbody > tr[data-row-index]')
+    const measured = new Map()
+    rows.forEach((tr) => {
+      const rowIndex = Number(tr.dataset.rowIndex)
+      if (rowIndex >= rowCount) return
+      const key = getKey(data[rowIndex], rowIndex)
+      measured.set(key, (measured.get(key) || 0) + tr.offsetHeight + rowGap)
+    })
+
+    let changed = false
+    measured.forEach((height, key) => {
+      if (heightsRef.current.get(key) !== height) {
+        heightsRef.current.set(key, height)
+        changed = true
+      }
+    })
+
+    if (changed) {
+      setMeasureVersion((v) => v + 1)
+    }
+  }, [enabled, containerRef, data, getKey, rowCount, range.start, range.end, expandedRows, rowHeight, rowGap])
+
+  if (!enabled) {
+    return { enabled: false, start: 0, end: rowCount, topHeight: 0, bottomHeight: 0 }
+  }
+
+  // 数据量变化后区间可能越界，这里做一次裁剪
+  const start = Math.min(range.start, rowCount)
+  const end = Math.min(Math.max(range.end, start), rowCount)
+
+  // 占位行自身也会占用一个行间距（border-spacing），需要扣除
+  return {
+    enabled: true,
+    start,
+    end,
+    topHeight: start > 0 ? Math.max(0, offsets[start] - rowGap) : 0,
+    bottomHeight: end < rowCount ? Math.max(0, offsets[rowCount] - offsets[end] - rowGap) : 0,
+    offsets,
+  }
+}
+
+export default useVirtualRows
@@ -1,11 +1,33 @@
-import React, { useMemo, useRef, useCallback } from 'react'
+import React, { useState, useMemo, useRef, useCallback, useEffect } from 'react'
 import css from './styles/index.module.css'
 
 // Hooks
-import { useTableConfig, useTableSort, useAutoScroll, useTableEvents, useExpandRow, useTreeData } from './hooks'
+import {
+  useTableConfig,
+  useTableSort,
+  useTableFilter,
+  useAutoScroll,
+  useSeamlessLoop,
+  useRowCarousel,
+  useTableEvents,
+  useCellEdit,
+  useExpandRow,
+  useTreeData,
+  useTableSelection,
+  useVirtualRows,
+  useCellSpans,
+  useColumnResize,
+  useTableActions,
+  useScriptEngine,
+  useScriptContext,
+  useDataChange,
+  useStreamBuffer,
+  useTooltip,
+  useKeyboardNav,
+} from './hooks'
 
 // Components
-import { TableHeader, TableBody, EmptyState } from './components'
+import { TableHeader, TableBody, TableFooter, EmptyState, ExportButton, ScriptDiagnostics, Tooltip } from './components'
 
 // Utils
 import {
@@ -14,20 +36,39 @@ import {
   generateColumnsFromData,
   calculateFixedPositions,
   flattenColumns,
+  getRowKey,
+  getHeaderRowCount,
 } from './utils'
+import { exportTable } from './utils/export'
+
+// 表体滚动条预留宽度（与样式中 .tableBody 的滚动条宽度一致）
+const SCROLLBAR_GUTTER = 6
 
 /**
  * EasyV 自定义表格组件
  * 支持 el-table 兼容配置，包括：
- * - 列自定义（label, prop, width, minWidth, fixed, align, headerAlign）
+ * - 列自定义（label, prop, width, minWidth, maxWidth, flex, fixed, align, headerAlign）
+ * - 弹性列宽（百分比宽度、flex 权重、填充容器宽度）
  * - 多级表头（通过 children 嵌套定义）
- * - 排序（sortable, sortScript 自定义排序脚本）
+ * - 排序（sortable, sortScript 自定义排序脚本，支持多列排序）
+ * - 筛选（filters, filterMultiple, filterMethod 表头筛选）
+ * - 勾选列（type: 'selection'，支持全选/半选、树形级联勾选）
  * - 表头自定义（支持富文本如 <br/> 换行）
  * - 行样式（stripe 斑马纹, border 边框, highlightCurrentRow 高亮）
- * - 自动滚动
+ * - 自动滚动（逐像素/逐行/翻页，支持无缝循环）
+ * - 行轮播高亮（依次高亮每一行，触发 currentChange 联动事件）
+ * - 虚拟滚动（大数据量时只渲染可视区域内的行）
  * - 横向滚动（列宽超出时）
+ * - 合计行（showSummary, sumText, summaryMethod）
+ * - 数据导出（CSV / XLSX，离线生成）
  * - 固定列（fixed: "left" | "right" | true）
+ * - 拖拽调整列宽（支持多级表头分组）
+ * - 单元格合并（spanMethod 返回 rowspan/colspan）
  * - 自定义事件（点击行、点击单元格）
+ * - 数据变化高亮（数据刷新后闪烁变化的单元格，新增行滑入、删除行淡出）
+ * - 追加模式（数据更新按行标识合并到有上限的缓冲区，适用于实时事件流）
+ * - 悬停提示框（单元格和表头单元格，支持渲染脚本、位置、延迟和主题色，兼容大屏缩放）
+ * - 键盘导航和无障碍网格语义（方向键、Home/End、PageUp/PageDown 移动焦点，Enter 展开，空格勾选）
  */
 export default function Table(props = {}) {
   const {
@@ -39,10 +80,15 @@ export default function Table(props = {}) {
     data,
     configuration,
     emit, // EasyV 提供的事件触发函数
+    on, // EasyV 提供的动作注册函数
   } = props
 
   // Refs 用于同步横向滚动
   const headerRef = useRef(null)
+  const footerRef = useRef(null)
+
+  // 脚本引擎：统一编译、缓存和执行配置中的用户脚本
+  const scriptEngine = useScriptEngine(configuration.config)
 
   // 解析配置
   const {
@@ -50,35 +96,57 @@ export default function Table(props = {}) {
     headerStyle,
     bodyStyle,
     scrollConfig,
+    carouselConfig,
+    virtualScroll,
+    streamConfig,
     scrollbarColor,
+    keyboardNav,
+    rowKey,
     columnScriptFn,
+    spanMethodFn,
+    cellValidatorFn,
+    columnResizable,
+    fitContainer,
     indexColumn,
+    selectionColumn,
     defaultSort,
+    sortConfig,
+    summaryConfig,
+    exportConfig,
     advancedStyle,
+    conditionalRules,
+    changeHighlight,
+    tooltipConfig,
+    htmlSanitizer,
     expandConfig,
     treeConfig,
-  } = useTableConfig(configuration.config)
+  } = useTableConfig(configuration.config, scriptEngine)
 
   // 解析表格数据
-  const tableData = useMemo(() => {
+  const sourceData = useMemo(() => {
     if (!data) return []
     if (Array.isArray(data)) return data
     return []
   }, [data])
 
+  // 追加模式：每次数据更新按行标识合并到缓冲区（未启用时直接使用数据源数据）
+  const {
+    data: tableData,
+    revision: streamRevision,
+    revealing: streamRevealing,
+  } = useStreamBuffer(streamConfig, sourceData, rowKey)
+
+  // 脚本上下文变量 data 始终为数据源数据
+  useScriptContext(scriptEngine, 'data', tableData)
+
   // 通过脚本生成列配置
   const configColumns = useMemo(() => {
     if (!columnScriptFn) {
       // 如果没有脚本函数，返回空数组，后续会从数据自动生成
       return []
     }
-    try {
-      const result = columnScriptFn(tableData)
-      return Array.isArray(result) ? result : []
-    } catch (e) {
-      console.error('列定义脚本执行错误:', e)
-      return []
-    }
+    const result = columnScriptFn(tableData)
+    return Array.isArray(result) ? result : []
   }, [columnScriptFn, tableData])
 
   // 生成序号列配置（仅在 show 为 true 时生成）
@@ -95,6 +163,22 @@ export default function Table(props = {}) {
     }
   }, [indexColumn])
 
+  // 生成勾选列配置（仅在 show 为 true 时生成）
+  const selectionColumnConfig = useMemo(() => {
+    if (!selectionColumn || !selectionColumn.show) return null
+    return {
+      type: 'selection',
+      prop: '__selection__',
+      label: '',
+      width: selectionColumn.width,
+      align: 'center',
+      fixed: selectionColumn.fixed ? 'left' : undefined,
+      selectable: selectionColumn.selectableFn,
+      isSelectionColumn: true,
+      sortable: false, // 勾选列不可排序
+    }
+  }, [selectionColumn])
+
   // 生成展开列配置（仅在启用且为 separate 模式时生成）
   const expandColumnConfig = useMemo(() => {
     if (!expandConfig?.enabled || expandConfig.iconColumn !== 'separate') return null
@@ -114,6 +198,13 @@ export default function Table(props = {}) {
   const effectiveColumns = useMemo(() => {
     let cols = configColumns.length > 0 ? configColumns : generateColumnsFromData(tableData)
 
+    // 列定义中 type 为 selection 的列（兼容 el-table 写法）转换为勾选列
+    cols = cols.map((col) =>
+      col && col.type === 'selection'
+        ? { align: 'center', width: 48, ...col, prop: '__selection__', isSelectionColumn: true, sortable: false }
+        : col
+    )
+
     // 按正确顺序插入特殊列
     const specialCols = []
 
@@ -122,80 +213,455 @@ export default function Table(props = {}) {
       specialCols.push(expandColumnConfig)
     }
 
-    // 2. 序号列在展开列之后
+    // 2. 勾选列在展开列之后（列定义中已包含勾选列时不重复添加）
+    if (selectionColumnConfig && !cols.some((col) => col && col.isSelectionColumn)) {
+      specialCols.push(selectionColumnConfig)
+    }
+
+    // 3. 序号列在勾选列之后
     if (indexColumnConfig) {
       specialCols.push(indexColumnConfig)
     }
 
-    // 3. 数据列在最后
+    // 4. 数据列在最后
     cols = [...specialCols, ...cols]
 
     return cols
-  }, [configColumns, tableData, expandColumnConfig, indexColumnConfig])
+  }, [configColumns, tableData, expandColumnConfig, selectionColumnConfig, indexColumnConfig])
 
   // 扁平化列配置（用于表体渲染和列宽计算）
   const leafColumns = useMemo(() => flattenColumns(effectiveColumns), [effectiveColumns])
 
+  // 自定义事件处理
+  const {
+    emitRowClick,
+    emitCellClick,
+    emitSortChange,
+    emitFilterChange,
+    emitSelectionChange,
+    emitColumnResize,
+    emitScrollStep,
+    emitCurrentChange,
+    emitCellEdit,
+    emitDataChange,
+  } = useTableEvents(emit, tableData)
+
+  // 单元格编辑（本地修改叠加在数据源之上，数据源刷新后清空）
+  const { editedData, editingCell, startEdit, cancelEdit, commitEdit } = useCellEdit(
+    { validatorFn: cellValidatorFn, scriptEngine },
+    tableData,
+    treeConfig,
+    rowKey,
+    emitCellEdit
+  )
+
+  // 筛选逻辑（在排序和树形扁平化之前执行）
+  const { filterState, filteredData, setColumnFilter, resetFilters } = useTableFilter(
+    editedData,
+    leafColumns,
+    treeConfig,
+    scriptEngine
+  )
+
   // 排序逻辑（先创建，但树形模式下会被 useTreeData 内部处理）
-  const { sortState, sortedData, handleSort } = useTableSort(tableData, leafColumns, defaultSort)
+  const { sortState, sortedData, handleSort, sortBy, resetSort } = useTableSort(
+    filteredData,
+    leafColumns,
+    defaultSort,
+    sortConfig.multiSort,
+    scriptEngine
+  )
 
   // 树形数据处理（会应用排序状态进行层级内排序）
-  const { flatData: treeData, toggleNodeExpand } = useTreeData(treeConfig, tableData, sortState)
+  const {
+    flatData: treeFlatData,
+    treeData,
+    getChildren: getTreeChildren,
+    toggleNodeExpand,
+    expandToNode,
+  } = useTreeData(treeConfig, filteredData, sortState, rowKey, scriptEngine)
 
   // 使用树形数据或排序后的数据
   const finalData = useMemo(() => {
-    return treeConfig?.enabled ? treeData : sortedData
-  }, [treeConfig, treeData, sortedData])
+    return treeConfig?.enabled ? treeFlatData : sortedData
+  }, [treeConfig, treeFlatData, sortedData])
 
-  // 展开行状态管理
-  const { expandedRows, toggleRowExpand } = useExpandRow(expandConfig, finalData)
+  // 获取行唯一标识（展开、高亮、虚拟滚动行高缓存等行状态均以此为键）
+  const getKey = useCallback((row, rowIndex) => getRowKey(row, rowKey, rowIndex), [rowKey])
 
-  // 自定义事件处理
-  const { emitRowClick, emitCellClick, emitSortChange } = useTableEvents(emit, tableData)
+  // 数据变化高亮：数据源刷新后按行标识比较，触发 dataChange 事件并高亮变化的单元格和行
+  const dataChange = useDataChange(changeHighlight, tableData, rowKey, treeConfig, finalData, getKey, emitDataChange)
+
+  // 悬停提示框：启用后替代 showOverflowTooltip 的原生 title 提示
+  const { tooltip, handlers: tooltipHandlers } = useTooltip(tooltipConfig)
+
+  // 展开行状态管理
+  const { expandedRows, toggleRowExpand } = useExpandRow(expandConfig, finalData, getKey)
+
+  // 勾选状态管理（树形模式下基于完整树形数据，以便级联勾选未展开的子节点，懒加载模式包括已加载的子节点）
+  const selectionLeafColumn = useMemo(() => leafColumns.find((col) => col.isSelectionColumn), [leafColumns])
+  const selectionOptions = useMemo(
+    () => ({
+      enabled: Boolean(selectionLeafColumn),
+      checkStrictly: selectionColumn.checkStrictly,
+      selectableFn: typeof selectionLeafColumn?.selectable === 'function' ? selectionLeafColumn.selectable : null,
+    }),
+    [selectionLeafColumn, selectionColumn.checkStrictly]
+  )
+  const {
+    selectedKeys,
+    indeterminateKeys,
+    allSelectionState,
+    isSelectable,
+    toggleRowSelection,
+    toggleAllSelection,
+  } = useTableSelection(
+    selectionOptions,
+    treeConfig?.enabled ? treeData : finalData,
+    treeConfig,
+    getKey,
+    getTreeChildren
+  )
 
   // 包装排序处理函数，同时触发事件
+  // appendKey 为 true（按住 Shift 点击）时追加为次级排序列
   const handleSortWithEvent = useCallback(
-    (column) => {
-      handleSort(column)
-      // 计算新的排序状态
-      const sortOrders = column.sortOrders || ['ascending', 'descending', null]
-      let currentIndex = sortOrders.indexOf(sortState.order)
-      if (sortState.prop !== column.prop) {
-        currentIndex = -1
-      }
-      const nextIndex = (currentIndex + 1) % sortOrders.length
-      const nextOrder = sortOrders[nextIndex]
+    (column, appendKey) => {
+      const nextSorts = handleSort(column, appendKey)
       // 触发排序变化事件
-      emitSortChange(
-        {
-          prop: nextOrder ? column.prop : null,
-          order: nextOrder,
-        },
-        column
-      )
+      emitSortChange(nextSorts, column)
+    },
+    [handleSort, emitSortChange]
+  )
+
+  // 包装筛选处理函数，同时触发事件
+  const handleFilterWithEvent = useCallback(
+    (column, values) => {
+      const nextFilters = setColumnFilter(column, values)
+      // 触发筛选变化事件
+      emitFilterChange(nextFilters, column, values)
     },
-    [handleSort, sortState, emitSortChange]
+    [setColumnFilter, emitFilterChange]
   )
 
-  // 自动滚动（纵向）
+  // 包装勾选处理函数，同时触发事件
+  const handleRowSelection = useCallback(
+    (key) => {
+      const result = toggleRowSelection(key)
+      if (result) {
+        emitSelectionChange(result.selection, result.row, result.selected)
+      }
+    },
+    [toggleRowSelection, emitSelectionChange]
+  )
+
+  const handleAllSelection = useCallback(() => {
+    const result = toggleAllSelection()
+    emitSelectionChange(result.selection, null, result.selected)
+  }, [toggleAllSelection, emitSelectionChange])
+
+  // 传递给表头/表体的勾选状态
+  const headerSelection = useMemo(
+    () => (selectionOptions.enabled ? { ...allSelectionState, onToggleAll: handleAllSelection } : null),
+    [selectionOptions.enabled, allSelectionState, handleAllSelection]
+  )
+  const bodySelection = useMemo(
+    () =>
+      selectionOptions.enabled ? { selectedKeys, indeterminateKeys, isSelectable, onToggle: handleRowSelection } : null,
+    [selectionOptions.enabled, selectedKeys, indeterminateKeys, isSelectable, handleRowSelection]
+  )
+
+  // 自动滚动（纵向），每一步后通知首个可见行；行轮播高亮时由轮播控制滚动位置
+  const autoScrollEnabled = scrollConfig.autoScroll && !carouselConfig.enabled
+  const handleScrollStep = useCallback(
+    (rowIndex, scrollTop) => {
+      emitScrollStep(finalData[rowIndex] || null, rowIndex, {
+        mode: scrollConfig.scrollMode,
+        direction: scrollConfig.scrollDirection,
+        scrollTop,
+      })
+    },
+    [emitScrollStep, finalData, scrollConfig.scrollMode, scrollConfig.scrollDirection]
+  )
+
+  // 焦点在表体内（键盘操作）时暂停自动滚动
+  const [gridFocused, setGridFocused] = useState(false)
+
   const autoScrollRef = useAutoScroll(
     {
-      enabled: scrollConfig.autoScroll,
+      enabled: autoScrollEnabled,
+      mode: scrollConfig.scrollMode,
+      direction: scrollConfig.scrollDirection,
       speed: scrollConfig.scrollSpeed,
+      interval: scrollConfig.scrollInterval,
+      duration: scrollConfig.scrollDuration,
+      easing: scrollConfig.scrollEasing,
       pauseOnHover: scrollConfig.scrollPauseOnHover,
+      seamless: scrollConfig.seamless,
+      onStep: handleScrollStep,
+      // 追加模式展示新记录期间、键盘操作期间暂停
+      paused: streamRevealing || gridFocused,
+    },
+    // 追加模式下数据频繁合并，不随数据重新初始化滚动
+    [streamConfig.enabled ? null : finalData]
+  )
+
+  // 追加模式：新记录到达时滚动到最新的行
+  useEffect(() => {
+    const container = autoScrollRef.current
+    if (!streamRevealing || !container) return
+    container.scrollTop = streamConfig.order === 'newestLast' ? container.scrollHeight - container.clientHeight : 0
+  }, [streamRevealing, streamRevision, streamConfig.order, autoScrollRef])
+
+  // 合计行高度（未显示时为 0）
+  const footerHeight = summaryConfig.show ? summaryConfig.height : 0
+
+  // 虚拟滚动：数据行数超过阈值时只渲染可视区域内的行
+  const virtualRange = useVirtualRows({
+    enabled: virtualScroll.enabled && finalData.length > virtualScroll.threshold,
+    containerRef: autoScrollRef,
+    data: finalData,
+    getKey,
+    rowHeight: bodyStyle.rowHeight,
+    rowGap: bodyStyle.rowGap,
+    buffer: virtualScroll.buffer,
+    viewHeight: (tableSettings.showHeader ? height - headerStyle.height : height) - footerHeight,
+    expandedRows,
+  })
+
+  // 无缝循环：内容超出可视区域时在表体末尾渲染一份克隆行（虚拟滚动时不生效）
+  const seamlessLoop = useSeamlessLoop(
+    {
+      enabled: autoScrollEnabled && scrollConfig.seamless && !virtualRange.enabled,
+      containerRef: autoScrollRef,
     },
-    [finalData]
+    [finalData, height, expandedRows]
   )
 
-  // 同步横向滚动：表体滚动时同步表头
+  // 高亮行（以 rowKey 记录，排序或数据刷新后仍跟随原记录）
+  const [currentRowKey, setCurrentRowKey] = useState(null)
+
+  // 将指定行滚动到可视区域内（虚拟滚动时按行偏移量计算，未渲染的行也能定位）
+  // align 为 start 时滚动到顶部，否则只在行不完全可见时滚动最小距离
+  const scrollRowIntoView = useCallback(
+    (rowIndex, align = 'nearest') => {
+      const container = autoScrollRef.current
+      if (!container) return
+      let top
+      let bottom
+      if (virtualRange.enabled) {
+        top = virtualRange.offsets[rowIndex]
+        bottom = virtualRange.offsets[rowIndex + 1]
+      } else {
+        const tr = container.querySelector(`tr[data-row-index="${rowIndex}"]:not([data-clone])`)
+        if (!tr) return
+        top = tr.offsetTop
+        bottom = top + tr.offsetHeight
+      }
+      if (align === 'start' || top < container.scrollTop) {
+        container.scrollTop = top
+      } else if (bottom > container.scrollTop + container.clientHeight) {
+        container.scrollTop = bottom - container.clientHeight
+      }
+    },
+    [autoScrollRef, virtualRange.enabled, virtualRange.offsets]
+  )
+
+  // 行轮播高亮：依次高亮下一行并滚动到可视区域
+  const handleCarouselStep = useCallback(() => {
+    if (finalData.length === 0) return
+    const currentIndex = finalData.findIndex((row, i) => getKey(row, i) === currentRowKey)
+    const nextIndex = (currentIndex + 1) % finalData.length
+    const row = finalData[nextIndex]
+    setCurrentRowKey(getKey(row, nextIndex))
+    scrollRowIntoView(nextIndex)
+    emitCurrentChange(row, nextIndex, 'carousel')
+  }, [finalData, getKey, currentRowKey, scrollRowIntoView, emitCurrentChange])
+
+  const pauseCarousel = useRowCarousel(carouselConfig, autoScrollRef, handleCarouselStep, [finalData])
+
+  // 点击高亮行：暂停轮播，高亮行变化时触发事件
+  const handleCurrentChange = useCallback(
+    (row, rowIndex) => {
+      const key = getKey(row, rowIndex)
+      pauseCarousel()
+      if (key === currentRowKey) return
+      setCurrentRowKey(key)
+      emitCurrentChange(row, rowIndex, 'click')
+    },
+    [getKey, currentRowKey, pauseCarousel, emitCurrentChange]
+  )
+
+  // 键盘导航：方向键等移动焦点，Enter 展开，空格勾选；键盘操作时暂停行轮播
+  const gridNav = useKeyboardNav(
+    {
+      enabled: keyboardNav.enabled,
+      containerRef: autoScrollRef,
+      rowHeight: bodyStyle.rowHeight,
+      scrollRowIntoView,
+      onFocusChange: setGridFocused,
+      onInteract: pauseCarousel,
+    },
+    finalData,
+    leafColumns.length,
+    getKey,
+    {
+      onToggleExpand: expandConfig.enabled ? toggleRowExpand : null,
+      onToggleTreeNode: treeConfig?.enabled ? toggleNodeExpand : null,
+      onToggleSelection: selectionOptions.enabled ? handleRowSelection : null,
+      isSelectable,
+    }
+  )
+
+  // 无障碍网格的行数：表头行 + 数据行 + 合计行
+  const headerRowCount = useMemo(
+    () => (tableSettings.showHeader ? getHeaderRowCount(effectiveColumns) : 0),
+    [tableSettings.showHeader, effectiveColumns]
+  )
+
+  // 按行标识查找当前显示的行索引（动作参数可能为字符串，统一按字符串比较）
+  const findRowIndex = useCallback(
+    (key) => finalData.findIndex((row, i) => String(getKey(row, i)) === String(key)),
+    [finalData, getKey]
+  )
+
+  // 按行标识执行的动作：对当前显示的第 rowIndex 行执行（rowIndex 为 -1 表示未找到）
+  const runRowAction = useCallback(
+    (name, rowIndex, params) => {
+      switch (name) {
+        // 滚动到表体顶部
+        case 'scrollToRow':
+          if (rowIndex !== -1) scrollRowIntoView(rowIndex, 'start')
+          break
+        // 设置高亮行，未找到时取消高亮
+        case 'setCurrentRow': {
+          const nextKey = rowIndex === -1 ? null : getKey(finalData[rowIndex], rowIndex)
+          pauseCarousel()
+          if (rowIndex !== -1) scrollRowIntoView(rowIndex)
+          if (nextKey === currentRowKey) return
+          setCurrentRowKey(nextKey)
+          emitCurrentChange(rowIndex === -1 ? null : finalData[rowIndex], rowIndex, 'action')
+          break
+        }
+        // 展开/收起展开行，不传 expanded 时切换
+        case 'toggleRowExpand': {
+          if (rowIndex === -1) return
+          const rowKeyValue = getKey(finalData[rowIndex], rowIndex)
+          if (params.expanded === undefined || Boolean(params.expanded) !== expandedRows.has(rowKeyValue)) {
+            toggleRowExpand(rowKeyValue)
+          }
+          break
+        }
+        default:
+          break
+      }
+    },
+    [finalData, getKey, scrollRowIntoView, pauseCarousel, currentRowKey, emitCurrentChange, expandedRows, toggleRowExpand]
+  )
+
+  // 树形表格中目标行位于收起的节点下时，先展开其祖先节点，待行显示后再执行动作
+  const pendingRowActionRef = useRef(null)
+
+  const dispatchRowAction = useCallback(
+    (name, params) => {
+      const { key } = params
+      const rowIndex = key === undefined || key === null ? -1 : findRowIndex(key)
+      pendingRowActionRef.current = null
+      if (rowIndex === -1 && treeConfig?.enabled && expandToNode(key)) {
+        pendingRowActionRef.current = { name, params }
+        return
+      }
+      runRowAction(name, rowIndex, params)
+    },
+    [findRowIndex, treeConfig, expandToNode, runRowAction]
+  )
+
+  useEffect(() => {
+    const pending = pendingRowActionRef.current
+    if (!pending) return
+    const rowIndex = findRowIndex(pending.params.key)
+    if (rowIndex === -1) return
+    pendingRowActionRef.current = null
+    runRowAction(pending.name, rowIndex, pending.params)
+  }, [findRowIndex, runRowAction])
+
+  // 导出当前显示的数据（排序、筛选、树形展开后），按显示的列和多级表头生成文件
+  const handleExport = useCallback(
+    (format = exportConfig.format, fileName = exportConfig.fileName) => {
+      exportTable({ format, fileName, columns: effectiveColumns, data: finalData, indexStart: indexColumn.start })
+    },
+    [exportConfig.format, exportConfig.fileName, effectiveColumns, finalData, indexColumn.start]
+  )
+
+  // 对外动作：供其他组件通过交互控制表格
+  useTableActions(on, {
+    // 按列排序 { prop, order, append }
+    sort: ({ prop, order, append }) => {
+      const nextSorts = sortBy(prop, order, Boolean(append))
+      emitSortChange(nextSorts, leafColumns.find((col) => col.prop === prop))
+    },
+    // 清除排序
+    clearSort: () => {
+      resetSort()
+      emitSortChange([], null)
+    },
+    // 滚动到行 { key }：滚动到表体顶部
+    scrollToRow: (params) => dispatchRowAction('scrollToRow', params),
+    // 设置高亮行 { key }：key 为空时取消高亮
+    setCurrentRow: (params) => dispatchRowAction('setCurrentRow', params),
+    // 展开/收起展开行 { key, expanded }：不传 expanded 时切换
+    toggleRowExpand: (params) => dispatchRowAction('toggleRowExpand', params),
+    // 展开/收起树形节点 { key, expanded }：不传 expanded 时切换，节点位于收起的父节点下时同时展开其祖先节点
+    toggleTreeNode: ({ key, expanded }) => {
+      const target = expandToNode(key)
+      if (!target || !target.row.__treeHasChildren__) return
+      if (expanded === undefined || Boolean(expanded) !== target.row.__treeIsExpanded__) {
+        toggleNodeExpand(target.nodeId, target.row)
+      }
+    },
+    // 重置筛选
+    resetFilters: () => {
+      resetFilters()
+      emitFilterChange({}, null, [])
+    },
+    // 导出数据 { format, fileName }：不传时使用导出配置
+    exportData: ({ format, fileName }) => {
+      handleExport(format === 'csv' || format === 'xlsx' ? format : undefined, fileName || undefined)
+    },
+  })
+
+  // 单元格合并：计算可视区域内各行单元格的 rowSpan/colSpan
+  const cellSpans = useCellSpans(spanMethodFn, finalData, leafColumns, {
+    start: virtualRange.enabled ? virtualRange.start : 0,
+    end: virtualRange.enabled ? virtualRange.end : finalData.length,
+    expandedRows: expandConfig.enabled ? expandedRows : null,
+    getKey,
+  })
+
+  // 同步横向滚动：表体滚动时同步表头和合计行
   const handleBodyScroll = useCallback((e) => {
     if (headerRef.current) {
       headerRef.current.scrollLeft = e.target.scrollLeft
     }
+    if (footerRef.current) {
+      footerRef.current.scrollLeft = e.target.scrollLeft
+    }
   }, [])
 
-  // 计算列宽度（基于叶子列）
-  const colWidths = useMemo(() => calculateColumnWidths(leafColumns), [leafColumns])
+  // 列可用宽度：组件宽度减去边框和表体滚动条预留宽度，作为百分比列和弹性列的基准
+  const columnAreaWidth = Math.max(
+    0,
+    (Number(width) || 0) - (tableSettings.showBorder ? tableSettings.borderWidth * 2 : 0) - SCROLLBAR_GUTTER
+  )
+
+  // 计算列宽度（基于叶子列），组件宽度变化时重新计算
+  const baseColWidths = useMemo(
+    () => calculateColumnWidths(leafColumns, columnAreaWidth, fitContainer),
+    [leafColumns, columnAreaWidth, fitContainer]
+  )
+
+  // 拖拽调整列宽：拖拽过的列以拖拽结果为准
+  const { colWidths, startResize, isResizing } = useColumnResize(leafColumns, baseColWidths, emitColumnResize)
 
   // 计算表格最小宽度（所有列宽之和）
   const tableMinWidth = useMemo(() => {
@@ -247,6 +713,17 @@ export default function Table(props = {}) {
     // 滚动条样式
     '--scrollbar-thumb-color': scrollbarColor,
     '--scrollbar-thumb-hover-color': addOpacityToColor(scrollbarColor),
+    // 合计行样式
+    '--summary-bg': summaryConfig.bgColor,
+    '--summary-color': summaryConfig.color,
+    '--summary-font-family': summaryConfig.fontFamily,
+    '--summary-font-size': `${summaryConfig.fontSize}px`,
+    '--summary-font-weight': summaryConfig.fontWeight,
+    '--summary-font-style': summaryConfig.fontStyle,
+    // 数据变化高亮
+    '--change-flash-color': changeHighlight.flashColor,
+    '--change-duration': `${changeHighlight.duration}ms`,
+    '--focus-color': keyboardNav.focusColor,
   }
 
   return (
@@ -254,6 +731,10 @@ export default function Table(props = {}) {
       <div
         className={`${css.tableWrapper} ${!tableSettings.showBorder ? css.noBorder : css.bordered} ${tableSettings.showBorder ? css[`border${tableSettings.borderDirection.charAt(0).toUpperCase() + tableSettings.borderDirection.slice(1)}`] || '' : ''}`}
         style={cssVars}
+        role="grid"
+        aria-rowcount={headerRowCount + finalData.length + (summaryConfig.show ? 1 : 0)}
+        aria-colcount={leafColumns.length}
+        aria-multiselectable={selectionOptions.enabled || undefined}
       >
         {/* 表头 - 使用原始嵌套列配置 */}
         {tableSettings.showHeader && (
@@ -264,11 +745,20 @@ export default function Table(props = {}) {
             headerHeight={headerStyle.height}
             sortState={sortState}
             onSort={handleSortWithEvent}
+            filterState={filterState}
+            onFilterChange={handleFilterWithEvent}
+            selection={headerSelection}
+            resizable={columnResizable}
+            onResizeStart={startResize}
+            isResizing={isResizing}
             minWidth={tableMinWidth}
             fixedInfo={fixedInfo}
             headerStyleFn={advancedStyle.headerStyleFn}
             headerCellStyleFn={advancedStyle.headerCellStyleFn}
             headerCellRenderFn={advancedStyle.headerCellRenderFn}
+            headerCellSanitize={advancedStyle.headerCellSanitize}
+            sanitizeHtml={htmlSanitizer}
+            tooltip={tooltipHandlers}
             globalBorder={{
               showBorder: tableSettings.showBorder,
               borderColor: tableSettings.borderColor,
@@ -279,12 +769,26 @@ export default function Table(props = {}) {
           />
         )}
 
+        {/* 脚本诊断浮层 - 仅调试模式显示 */}
+        {tableSettings.debug && <ScriptDiagnostics scriptEngine={scriptEngine} />}
+
+        {/* 导出按钮 - 悬浮在表头右上角 */}
+        {exportConfig.showButton && (
+          <ExportButton
+            height={tableSettings.showHeader ? headerStyle.height : 24}
+            color={exportConfig.buttonColor}
+            format={exportConfig.format}
+            onExport={() => handleExport()}
+          />
+        )}
+
         {/* 表体 - 使用扁平化的叶子列 */}
         {finalData.length === 0 ? (
           <EmptyState
             text={tableSettings.emptyText}
             showHeader={tableSettings.showHeader}
             headerHeight={headerStyle.height}
+            footerHeight={footerHeight}
           />
         ) : (
           <TableBody
@@ -294,9 +798,10 @@ export default function Table(props = {}) {
             colWidths={colWidths}
             rowHeight={bodyStyle.rowHeight}
             stripe={tableSettings.stripe}
-            highlightCurrentRow={tableSettings.highlightCurrentRow}
+            highlightCurrentRow={tableSettings.highlightCurrentRow || carouselConfig.enabled}
             showHeader={tableSettings.showHeader}
             headerHeight={headerStyle.height}
+            footerHeight={footerHeight}
             minWidth={tableMinWidth}
             onScroll={handleBodyScroll}
             onRowClick={emitRowClick}
@@ -304,15 +809,50 @@ export default function Table(props = {}) {
             fixedInfo={fixedInfo}
             indexStart={indexColumn.start}
             rowStyleFn={advancedStyle.rowStyleFn}
+            conditionalRules={conditionalRules}
             cellStyleFn={advancedStyle.cellStyleFn}
             cellRenderFn={advancedStyle.cellRenderFn}
+            cellSanitize={advancedStyle.cellSanitize}
+            changeHighlight={changeHighlight}
+            dataChange={dataChange}
+            tooltip={tooltipHandlers}
+            keyboardNav={gridNav}
+            headerRowCount={headerRowCount}
             expandConfig={expandConfig}
             expandedRows={expandedRows}
             onToggleExpand={toggleRowExpand}
             treeConfig={treeConfig}
             onToggleTreeNode={toggleNodeExpand}
+            virtualRange={virtualRange}
+            rowKey={rowKey}
+            selection={bodySelection}
+            cellSpans={cellSpans}
+            loopClone={seamlessLoop}
+            currentRow={currentRowKey}
+            onCurrentChange={handleCurrentChange}
+            editingCell={editingCell}
+            onStartEdit={startEdit}
+            onCommitEdit={commitEdit}
+            onCancelEdit={cancelEdit}
           />
         )}
+
+        {/* 合计行 - 固定在表体底部 */}
+        {summaryConfig.show && (
+          <TableFooter
+            ref={footerRef}
+            columns={leafColumns}
+            colWidths={colWidths}
+            data={filteredData}
+            minWidth={tableMinWidth}
+            fixedInfo={fixedInfo}
+            summaryConfig={summaryConfig}
+            ariaRowIndex={headerRowCount + finalData.length + 1}
+          />
+        )}
+
+        {/* 悬停提示框 - 渲染到 body */}
+        {tooltip && <Tooltip tooltip={tooltip} config={tooltipConfig} handlers={tooltipHandlers} />}
       </div>
     </div>
   )
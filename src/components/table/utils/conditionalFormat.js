@@ -0,0 +1,153 @@
+/**
+ * 条件格式工具函数
+ * 按声明式规则（字段 + 运算符 + 比较值）为单元格设置文字颜色、背景、加粗和图标
+ */
+
+// 内置图标（SVG 使用 currentColor，颜色由规则的图标颜色控制）
+export const RULE_ICONS = {
+  arrowUp:
+    '<svg viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M12 4l7 8h-4.5v8h-5v-8H5z"/></svg>',
+  arrowDown:
+    '<svg viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M12 20l-7-8h4.5V4h5v8H19z"/></svg>',
+  dot: '<svg viewBox="0 0 24 24" width="1em" height="1em"><circle cx="12" cy="12" r="5" fill="currentColor"/></svg>',
+  warning:
+    '<svg viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M1 21L12 2l11 19zm10-3h2v-2h-2zm0-4h2v-4h-2z"/></svg>',
+  check:
+    '<svg viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M9 16.2L4.8 12l-1.4 1.4L9 19L21 7l-1.4-1.4z"/></svg>',
+  flag: '<svg viewBox="0 0 24 24" width="1em" height="1em"><path fill="currentColor" d="M5 21V4h9l.4 2H20v10h-7l-.4-2H7v7z"/></svg>',
+};
+
+/**
+ * 转换为数字，无法转换时返回 null
+ * @param {*} value - 原始值
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 解析正则表达式，支持 `/pattern/flags` 和纯 pattern 两种写法
+ * @param {string} source - 正则字符串
+ * @returns {RegExp|null}
+ */
+function parseRegExp(source) {
+  if (typeof source !== "string" || source === "") return null;
+  const match = source.match(/^\/(.*)\/([gimsuy]*)$/);
+  try {
+    // 不使用 g 标志，避免 test 时 lastIndex 状态导致结果交替
+    return match ? new RegExp(match[1], match[2].replace("g", "")) : new RegExp(source);
+  } catch (e) {
+    console.error("条件格式正则解析错误:", e);
+    return null;
+  }
+}
+
+/**
+ * 编译条件格式规则
+ * 过滤未启用或配置不完整的规则，预先转换比较值和正则
+ * @param {Array} rules - 规则配置 [{ prop, operator, value, value2, color, bgColor, bold, icon, iconColor }]
+ * @returns {Array} 编译后的规则
+ */
+export function compileRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  return rules
+    .map((rule) => {
+      const props = String(rule.prop || "")
+        .split(",")
+        .map((prop) => prop.trim())
+        .filter(Boolean);
+      if (props.length === 0) return null;
+
+      const { operator, value, value2 } = rule;
+      let test;
+      switch (operator) {
+        case ">":
+        case "<": {
+          const target = toNumber(value);
+          if (target === null) return null;
+          test = (cellValue) => {
+            const number = toNumber(cellValue);
+            if (number === null) return false;
+            return operator === ">" ? number > target : number < target;
+          };
+          break;
+        }
+        case "between": {
+          const min = toNumber(value);
+          const max = toNumber(value2);
+          if (min === null && max === null) return null;
+          test = (cellValue) => {
+            const number = toNumber(cellValue);
+            if (number === null) return false;
+            return (min === null || number >= min) && (max === null || number <= max);
+          };
+          break;
+        }
+        case "equals": {
+          const target = value === null || value === undefined ? "" : String(value);
+          const targetNumber = toNumber(target);
+          test = (cellValue) => {
+            // 数字按数值比较（"1.0" 等于 1），其余按字符串比较
+            const number = toNumber(cellValue);
+            if (number !== null && targetNumber !== null) return number === targetNumber;
+            return String(cellValue ?? "") === target;
+          };
+          break;
+        }
+        case "contains": {
+          if (value === null || value === undefined || value === "") return null;
+          const target = String(value);
+          test = (cellValue) => cellValue !== null && cellValue !== undefined && String(cellValue).includes(target);
+          break;
+        }
+        case "regex": {
+          const regExp = parseRegExp(value);
+          if (!regExp) return null;
+          test = (cellValue) => cellValue !== null && cellValue !== undefined && regExp.test(String(cellValue));
+          break;
+        }
+        default:
+          return null;
+      }
+
+      const style = {};
+      if (rule.color) style.color = rule.color;
+      if (rule.bgColor) style.background = rule.bgColor;
+      if (rule.bold) style.fontWeight = "bold";
+
+      const iconContent = RULE_ICONS[rule.icon];
+      const icon = iconContent
+        ? { type: "html", content: iconContent, style: rule.iconColor ? { color: rule.iconColor } : {} }
+        : null;
+
+      return { props, test, style, icon };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 计算单元格命中的条件格式
+ * 多条规则同时命中时合并生效，属性冲突时靠前的规则优先
+ * @param {Array} rules - 编译后的规则
+ * @param {Object} row - 行数据
+ * @param {Object} column - 列配置
+ * @returns {Object|null} { style, icon }，未命中时返回 null
+ */
+export function getCellRuleFormat(rules, row, column) {
+  if (!rules || rules.length === 0 || !column.prop) return null;
+
+  let style = null;
+  let icon = null;
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (!rule.props.includes(column.prop) || !rule.test(row[column.prop])) continue;
+    style = { ...style, ...rule.style };
+    if (rule.icon) icon = rule.icon;
+  }
+
+  return style ? { style, icon } : null;
+}
@@ -0,0 +1,365 @@
+import { formatCellValue, flattenColumns, convertToHeaderRows } from "./index";
+
+/**
+ * 表格数据导出（CSV / XLSX）
+ * 完全在浏览器内生成文件，不依赖第三方库和网络
+ */
+
+/**
+ * 表头文本：去除 HTML 标签，<br/> 换行替换为空格
+ * @param {*} label - 表头配置
+ * @returns {string} 纯文本
+ */
+function getHeaderText(label) {
+  if (label === null || label === undefined) return "";
+  return String(label)
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+/**
+ * 防止公式注入：以 = + - @ 制表符或回车开头的文本在 Excel 中会被当作公式，前面加 ' 按文本显示
+ * 普通数字文本（如 "-12.5"、"+3%"）不会被当作公式，保持原样
+ * @param {string} text - 单元格文本
+ * @returns {string}
+ */
+function escapeFormula(text) {
+  if (!/^[=+\-@\t\r]/.test(text)) return text;
+  if (/^[+-]?\d[\d,]*(\.\d+)?%?$/.test(text)) return text;
+  return `'${text}`;
+}
+
+/**
+ * 构建导出的二维表格
+ * 多级表头按 convertToHeaderRows 的结果展开为多行，合并区域记录在 merges 中；
+ * 勾选列、展开列不导出，序号列导出序号；文本单元格按 escapeFormula 转义，防止公式注入
+ * @param {Array} columns - 列配置（含多级表头的嵌套结构）
+ * @param {Array} data - 导出数据（排序、筛选、树形展开后的 finalData）
+ * @param {number} indexStart - 序号起始值
+ * @returns {Object} { rows, merges, headerRowCount }，rows 中单元格为 { value, isNumber }
+ */
+export function buildExportMatrix(columns, data, indexStart = 1) {
+  const exportColumns = columns.filter((col) => col && !col.isSelectionColumn && !col.isExpandColumn);
+  const leafColumns = flattenColumns(exportColumns);
+  const headerRows = convertToHeaderRows(exportColumns);
+  const colCount = leafColumns.length;
+
+  // 表头：被合并覆盖的位置留空
+  const rows = headerRows.map(() => new Array(colCount).fill(null).map(() => ({ value: "", isNumber: false })));
+  const merges = [];
+  headerRows.forEach((headerRow, r) => {
+    headerRow.forEach((cell) => {
+      const c = cell.leafColumnIndex;
+      rows[r][c] = { value: escapeFormula(getHeaderText(cell.label)), isNumber: false };
+      if (cell.rowSpan > 1 || cell.colSpan > 1) {
+        merges.push({ row: r, col: c, rowSpan: cell.rowSpan, colSpan: cell.colSpan });
+      }
+    });
+  });
+
+  // 表体：与表格显示一致，经过 formatCellValue 和列的 formatter
+  data.forEach((row, rowIndex) => {
+    rows.push(
+      leafColumns.map((column) => {
+        if (column.isIndexColumn) {
+          return { value: String(indexStart + rowIndex), isNumber: true };
+        }
+        let value;
+        try {
+          value = formatCellValue(row, column, rowIndex);
+        } catch (e) {
+          console.error("导出格式化错误:", e);
+          value = row[column.prop];
+        }
+        const text = value === null || value === undefined ? "" : String(value);
+        const raw = row[column.prop];
+        // 格式化后仍为原始数值的单元格按数字写入 XLSX
+        const isNumber = typeof raw === "number" && Number.isFinite(raw) && text === String(raw);
+        return { value: isNumber ? text : escapeFormula(text), isNumber };
+      })
+    );
+  });
+
+  return { rows, merges, headerRowCount: headerRows.length };
+}
+
+/**
+ * 生成 CSV 文本（带 BOM，Excel 打开中文不乱码）
+ * @param {Object} matrix - buildExportMatrix 结果
+ * @returns {string} CSV 文本
+ */
+export function toCSV(matrix) {
+  const escapeCSV = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const lines = matrix.rows.map((row) => row.map((cell) => escapeCSV(cell.value)).join(","));
+  return "\uFEFF" + lines.join("\r\n");
+}
+
+// CRC32 查找表（首次使用时生成）
+let crcTable = null;
+
+/**
+ * 计算 CRC32 校验值（ZIP 文件要求）
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} 校验值
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 打包 ZIP（仅存储不压缩，XLSX 文件即为 ZIP 包）
+ * @param {Array} files - 文件列表 [{ name, content }]，content 为字符串
+ * @returns {Uint8Array} ZIP 文件内容
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, 0, true);
+    local.setUint16(12, 0x21, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}
+
+/**
+ * XML 转义（同时去除 XML 不允许的控制字符）
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXML(text) {
+  return text
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * 列序号转 Excel 列名（0 -> A，26 -> AA）
+ * @param {number} index - 列序号
+ * @returns {string} 列名
+ */
+function getColumnName(index) {
+  let name = "";
+  let n = index + 1;
+  while (n > 0) {
+    const mod = (n - 1) % 26;
+    name = String.fromCharCode(65 + mod) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * 生成 XLSX 文件（单个工作表，表头加粗并保留多级表头的合并单元格）
+ * @param {Object} matrix - buildExportMatrix 结果
+ * @param {string} sheetName - 工作表名称
+ * @returns {Uint8Array} XLSX 文件内容
+ */
+export function toXLSX(matrix, sheetName = "Sheet1") {
+  const { rows, merges, headerRowCount } = matrix;
+
+  const sheetRows = rows
+    .map((row, r) => {
+      const style = r < headerRowCount ? ' s="1"' : "";
+      const cells = row
+        .map((cell, c) => {
+          const ref = `${getColumnName(c)}${r + 1}`;
+          if (cell.isNumber && cell.value !== "") {
+            return `<c r="${ref}"${style}><v>${cell.value}</v></c>`;
+          }
+          if (cell.value === "") {
+            return style ? `<c r="${ref}"${style}/>` : "";
+          }
+          return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(cell.value)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  const mergeCells = merges.length
+    ? `<mergeCells count="${merges.length}">${merges
+        .map(
+          (m) =>
+            `<mergeCell ref="${getColumnName(m.col)}${m.row + 1}:${getColumnName(m.col + m.colSpan - 1)}${m.row + m.rowSpan}"/>`
+        )
+        .join("")}</mergeCells>`
+    : "";
+
+  const safeSheetName = escapeXML(sheetName.replace(/[\\/?*[\]:]/g, "").slice(0, 31) || "Sheet1");
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/styles.xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyAlignment="1"><alignment horizontal="center" vertical="center"/></xf></cellXfs>' +
+        "</styleSheet>",
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows}</sheetData>${mergeCells}` +
+        "</worksheet>",
+    },
+  ]);
+}
+
+/**
+ * 触发浏览器下载
+ * @param {string|Uint8Array} content - 文件内容
+ * @param {string} fileName - 文件名
+ * @param {string} mimeType - MIME 类型
+ */
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 导出表格数据并下载
+ * @param {Object} options - 导出配置
+ * @param {string} options.format - 导出格式 csv | xlsx
+ * @param {string} options.fileName - 文件名（不含扩展名）
+ * @param {Array} options.columns - 列配置（含多级表头的嵌套结构）
+ * @param {Array} options.data - 导出数据
+ * @param {number} options.indexStart - 序号起始值
+ */
+export function exportTable({ format = "xlsx", fileName = "表格数据", columns, data, indexStart = 1 }) {
+  const matrix = buildExportMatrix(columns, data, indexStart);
+  const name = fileName || "表格数据";
+  if (format === "csv") {
+    downloadFile(toCSV(matrix), `${name}.csv`, "text/csv;charset=utf-8");
+  } else {
+    downloadFile(
+      toXLSX(matrix, name),
+      `${name}.xlsx`,
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+  }
+}
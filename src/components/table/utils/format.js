@@ -0,0 +1,201 @@
+/**
+ * 列格式化工具函数
+ * 根据列配置的 format 及 precision / thousands / unit / datePattern / nullText 将原始值转换为显示文本
+ * 表体、合计行、tooltip 和导出统一使用此处的规则
+ */
+
+// 各格式的默认小数位数（未配置 precision 时使用，undefined 表示保留原始小数位）
+const DEFAULT_PRECISION = {
+  number: undefined,
+  percent: undefined,
+  currency: 2,
+};
+
+// 时长的输入单位换算为秒
+const DURATION_UNITS = {
+  ms: 0.001,
+  s: 1,
+  m: 60,
+  min: 60,
+  h: 3600,
+};
+
+/**
+ * 判断是否为空值
+ * @param {*} value - 原始值
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/**
+ * 左侧补零
+ * @param {number} number - 数字
+ * @param {number} length - 长度
+ * @returns {string}
+ */
+function pad(number, length = 2) {
+  return String(number).padStart(length, "0");
+}
+
+/**
+ * 格式化数字：保留小数位并添加千分位
+ * @param {number} number - 数字
+ * @param {number} [precision] - 小数位数，未设置时整数原样输出，小数保留 15 位有效数字（修正浮点误差）
+ * @param {boolean} thousands - 是否添加千分位分隔符
+ * @returns {string}
+ */
+function formatNumber(number, precision, thousands) {
+  const fixed =
+    precision !== undefined && precision !== null && precision !== ""
+      ? number.toFixed(Math.min(20, Math.max(0, Number(precision) || 0)))
+      : Number.isInteger(number)
+        ? String(number)
+        : String(parseFloat(number.toPrecision(15)));
+  if (!thousands) return fixed;
+
+  const [integer, decimal] = fixed.split(".");
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return decimal !== undefined ? `${grouped}.${decimal}` : grouped;
+}
+
+/**
+ * 解析日期值
+ * 数字按时间戳处理（小于 1e11 视为秒级时间戳），字符串交给 Date 解析
+ * @param {*} value - 原始值
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  let date;
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const timestamp = Number(value);
+    date = new Date(timestamp < 1e11 ? timestamp * 1000 : timestamp);
+  } else {
+    // "2024-01-02 03:04:05" 在部分浏览器中无法直接解析，替换为 "/" 分隔
+    const text = String(value);
+    date = new Date(/^\d{4}-\d{1,2}-\d{1,2}(\s|$)/.test(text) ? text.replace(/-/g, "/") : text);
+  }
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 按模板格式化日期
+ * 支持 YYYY、MM、DD、HH、mm、ss 及不补零的 M、D、H、m、s
+ * @param {Date} date - 日期
+ * @param {string} pattern - 模板
+ * @returns {string}
+ */
+function formatDate(date, pattern) {
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate(),
+    HH: pad(date.getHours()),
+    H: date.getHours(),
+    mm: pad(date.getMinutes()),
+    m: date.getMinutes(),
+    ss: pad(date.getSeconds()),
+    s: date.getSeconds(),
+  };
+  return pattern.replace(/YYYY|MM|M|DD|D|HH|H|mm|m|ss|s/g, (token) => tokens[token]);
+}
+
+/**
+ * 按模板格式化时长
+ * 模板中包含 D 时小时数不超过 24，否则小时数为总小时数
+ * @param {number} seconds - 总秒数
+ * @param {string} pattern - 模板，支持 D、HH、H、mm、m、ss、s
+ * @returns {string}
+ */
+function formatDuration(seconds, pattern) {
+  const sign = seconds < 0 ? "-" : "";
+  let rest = Math.round(Math.abs(seconds));
+  const hasDay = /D/.test(pattern);
+
+  const days = hasDay ? Math.floor(rest / 86400) : 0;
+  rest -= days * 86400;
+  const hours = Math.floor(rest / 3600);
+  rest -= hours * 3600;
+  const minutes = Math.floor(rest / 60);
+  const secs = rest - minutes * 60;
+
+  const tokens = {
+    D: days,
+    HH: pad(hours),
+    H: hours,
+    mm: pad(minutes),
+    m: minutes,
+    ss: pad(secs),
+    s: secs,
+  };
+  return sign + pattern.replace(/HH|H|mm|m|ss|s|D/g, (token) => tokens[token]);
+}
+
+/**
+ * 按列格式配置格式化值
+ * @param {*} value - 原始值
+ * @param {Object} column - 列配置
+ * @param {string} column.format - 格式类型 number / percent / currency / date / duration
+ * @param {number} column.precision - 小数位数
+ * @param {boolean} column.thousands - 是否添加千分位（currency 默认 true）
+ * @param {string} column.unit - number 为追加的单位；currency 为货币符号（默认 ¥）；duration 为原始值的单位 ms / s / m / h（默认 s）
+ * @param {string} column.datePattern - date 的日期模板（默认 YYYY-MM-DD），duration 的时长模板（默认 HH:mm:ss）
+ * @param {string} column.nullText - 空值显示文本
+ * @returns {string} 显示文本；无法按格式转换的值原样转为字符串
+ */
+export function formatValue(value, column) {
+  const { format, precision, thousands, unit, datePattern, nullText } = column;
+
+  if (isEmpty(value)) {
+    return nullText !== undefined && nullText !== null ? String(nullText) : "";
+  }
+
+  const digits = precision ?? DEFAULT_PRECISION[format];
+  const number = typeof value === "number" ? value : Number(value);
+  const isNumber = typeof value !== "boolean" && Number.isFinite(number);
+
+  switch (format) {
+    case "number":
+      if (!isNumber) break;
+      return `${formatNumber(number, digits, Boolean(thousands))}${unit || ""}`;
+    case "percent":
+      if (!isNumber) break;
+      return `${formatNumber(number * 100, digits, Boolean(thousands))}%`;
+    case "currency": {
+      if (!isNumber) break;
+      const text = formatNumber(Math.abs(number), digits, thousands !== false);
+      return `${number < 0 ? "-" : ""}${unit ?? "¥"}${text}`;
+    }
+    case "date": {
+      const date = parseDate(value);
+      if (!date) break;
+      return formatDate(date, datePattern || "YYYY-MM-DD");
+    }
+    case "duration": {
+      if (!isNumber) break;
+      const seconds = number * (DURATION_UNITS[unit] || 1);
+      return formatDuration(seconds, datePattern || "HH:mm:ss");
+    }
+    default:
+      break;
+  }
+
+  return String(value);
+}
+
+/**
+ * 格式化合计值
+ * 合计文本等非数字原样显示，数字按列格式显示；日期列不参与合计
+ * @param {*} value - 合计值
+ * @param {Object} column - 列配置
+ * @returns {*}
+ */
+export function formatSummaryValue(value, column) {
+  if (typeof value !== "number" || !column.format) return value;
+  return formatValue(value, column);
+}
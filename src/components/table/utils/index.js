@@ -1,3 +1,5 @@
+import { formatValue } from "./format";
+
 /**
  * 格式化单元格值
  * @param {Object} row - 行数据
@@ -13,6 +15,11 @@ export function formatCellValue(row, column, index) {
     return column.formatter(row, column, value, index);
   }
 
+  // 声明式格式（format / nullText 等列配置）
+  if (column.format || column.nullText !== undefined) {
+    return formatValue(value, column);
+  }
+
   if (value === null || value === undefined) {
     return "";
   }
@@ -20,23 +27,174 @@ export function formatCellValue(row, column, index) {
   return String(value);
 }
 
+/**
+ * 按行数据填充模板中的 `{field}` 占位符（支持 `{a.b}` 取嵌套字段）
+ * @param {string} template - 模板字符串
+ * @param {Object} row - 行数据
+ * @param {Function} [encode] - 对填充值的转换函数（如 encodeURIComponent）
+ * @returns {string} 填充后的字符串，字段不存在时替换为空字符串
+ */
+export function fillTemplate(template, row, encode) {
+  if (typeof template !== "string") return "";
+
+  return template.replace(/\{\s*([\w$.]+)\s*\}/g, (_, path) => {
+    const value = path.split(".").reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), row);
+    if (value === null || value === undefined) return "";
+    return encode ? encode(String(value)) : String(value);
+  });
+}
+
+/**
+ * 获取行的唯一标识
+ * 树形行直接使用扁平化时计算好的节点 ID；否则依次尝试 rowKey 脚本、rowKey 字段，
+ * 都取不到有效值时使用 fallback（通常为行索引）
+ * @param {Object} row - 行数据
+ * @param {Object} rowKey - 行标识配置 { field, keyFn }
+ * @param {*} fallback - 兜底标识
+ * @returns {string|number} 行唯一标识
+ */
+export function getRowKey(row, rowKey, fallback) {
+  if (!row || typeof row !== "object") return fallback;
+
+  if (row.__treeNodeId__ !== undefined) {
+    return row.__treeNodeId__;
+  }
+
+  let key;
+  if (rowKey && rowKey.keyFn) {
+    try {
+      key = rowKey.keyFn(row);
+    } catch (e) {
+      console.error("行标识脚本执行错误:", e);
+    }
+  } else if (rowKey && rowKey.field) {
+    key = row[rowKey.field];
+  }
+
+  if (key === null || key === undefined || key === "") {
+    return fallback;
+  }
+  return key;
+}
+
+// 未配置宽度的列按此宽度计算表格最小宽度（与 calculateFixedPositions 的默认值一致）
+const AUTO_COLUMN_WIDTH = 100;
+// 弹性列未配置 minWidth 时的最小宽度
+const MIN_FLEX_COLUMN_WIDTH = 40;
+
+/**
+ * 解析列宽配置
+ * @param {number|string} value - 数字、"120"、"120px" 或百分比 "20%"
+ * @param {number} containerWidth - 百分比的基准宽度，未知时百分比解析为 0
+ * @returns {number} 像素宽度，无法解析时返回 0
+ */
+export function parseWidth(value, containerWidth) {
+  if (value === null || value === undefined || value === "") return 0;
+  if (typeof value === "number") return value > 0 ? value : 0;
+  const text = String(value).trim();
+  if (text.endsWith("%")) {
+    const percent = parseFloat(text);
+    return percent > 0 && containerWidth > 0 ? Math.floor((containerWidth * percent) / 100) : 0;
+  }
+  return parseInt(text) || 0;
+}
+
+/**
+ * 将宽度限制在 [min, max] 内（max 为 0 表示不限制）
+ */
+function clampWidth(width, min, max) {
+  const upper = max > 0 ? Math.max(max, min) : Infinity;
+  return Math.min(Math.max(width, min), upper);
+}
+
+/**
+ * 按权重分配剩余宽度（与 CSS flex 的分配方式一致）
+ * 分配结果超出 minWidth / maxWidth 的列固定为边界值，其余宽度在剩下的列之间重新分配
+ * @param {Array} items - 弹性列 [{ index, weight, min, max }]
+ * @param {number} space - 可分配的宽度
+ * @returns {Map} 列索引 -> 宽度（整数像素）
+ */
+function distributeFlexWidths(items, space) {
+  const result = new Map();
+  let pending = items;
+  let remaining = space;
+
+  while (pending.length > 0) {
+    const totalWeight = pending.reduce((sum, item) => sum + item.weight, 0);
+    const sizes = pending.map((item) => {
+      const width = (Math.max(remaining, 0) * item.weight) / totalWeight;
+      return { item, width, clamped: clampWidth(width, item.min, item.max) };
+    });
+    // 总体偏小时先固定低于 minWidth 的列，偏大时先固定超出 maxWidth 的列
+    const violation = sizes.reduce((sum, size) => sum + size.clamped - size.width, 0);
+    const frozen = sizes.filter((size) =>
+      violation > 0 ? size.clamped > size.width : violation < 0 ? size.clamped < size.width : false
+    );
+    if (frozen.length === 0) {
+      sizes.forEach((size) => result.set(size.item.index, size.clamped));
+      break;
+    }
+    frozen.forEach((size) => {
+      result.set(size.item.index, size.clamped);
+      remaining -= size.clamped;
+    });
+    pending = pending.filter((item) => !result.has(item.index));
+  }
+
+  // 取整后剩余的像素逐列补齐，使总宽度与可分配宽度一致
+  let rest = Math.floor(space);
+  items.forEach((item) => {
+    const width = Math.floor(result.get(item.index));
+    result.set(item.index, width);
+    rest -= width;
+  });
+  for (let i = items.length - 1; i >= 0 && rest > 0; i--) {
+    const item = items[i];
+    const width = result.get(item.index);
+    if (item.max > 0 && width >= item.max) continue;
+    result.set(item.index, width + 1);
+    rest--;
+  }
+  return result;
+}
+
 /**
  * 计算列宽度数组
+ * - width 为像素值时固定宽度，为百分比（如 "20%"）时按容器宽度计算
+ * - 配置 flex 权重的列按权重分配剩余宽度
+ * - 开启填充容器模式时，未配置 width 的列按 flex: 1 参与分配
+ * 所有宽度都限制在列的 minWidth / maxWidth 内；容器宽度未知时百分比列和弹性列按自动宽度处理
  * @param {Array} columns - 列配置数组
- * @returns {Array} 列宽度数组
+ * @param {number} [containerWidth] - 列可用的容器宽度
+ * @param {boolean} [fitContainer] - 是否填充容器宽度
+ * @returns {Array} 列宽度数组，0 表示自动宽度
  */
-export function calculateColumnWidths(columns) {
+export function calculateColumnWidths(columns, containerWidth = 0, fitContainer = false) {
   if (!columns || columns.length === 0) return [];
 
-  return columns.map((col) => {
-    if (col.width) {
-      return typeof col.width === "number" ? col.width : parseInt(col.width) || 0;
+  const flexItems = [];
+  let usedWidth = 0;
+  const widths = columns.map((col, index) => {
+    const min = parseWidth(col.minWidth, containerWidth);
+    const max = parseWidth(col.maxWidth, containerWidth);
+    const weight = Number(col.flex) > 0 ? Number(col.flex) : fitContainer && !col.width ? 1 : 0;
+    if (weight > 0 && containerWidth > 0) {
+      flexItems.push({ index, weight, min: Math.max(min, MIN_FLEX_COLUMN_WIDTH), max });
+      return 0;
     }
-    if (col.minWidth) {
-      return typeof col.minWidth === "number" ? col.minWidth : parseInt(col.minWidth) || 0;
-    }
-    return 0; // 自动宽度
+    const width = col.width ? parseWidth(col.width, containerWidth) : min;
+    const result = width > 0 ? clampWidth(width, min, max) : 0;
+    usedWidth += result || AUTO_COLUMN_WIDTH;
+    return result;
   });
+
+  if (flexItems.length > 0) {
+    const flexWidths = distributeFlexWidths(flexItems, containerWidth - usedWidth);
+    flexWidths.forEach((width, index) => {
+      widths[index] = width;
+    });
+  }
+  return widths;
 }
 
 /**
@@ -68,6 +226,42 @@ export function generateCSSVariables(headerStyle, bodyStyle) {
   };
 }
 
+/**
+ * 计算合计行各列的值
+ * 第一列显示合计文本；其余列忽略空值（null、undefined、空字符串）后，所有值均为数字或数字字符串时求和，否则留空（布尔值等视为非数字）
+ * 序号列、勾选列、展开列等特殊列不参与求和
+ * 只统计 data 中的行，不递归子节点：树形表格传入顶层数据时只合计顶层节点（父节点通常已是子节点的汇总）
+ * @param {Array} columns - 叶子列配置
+ * @param {Array} data - 表格数据（筛选后、树形展开前）
+ * @param {string} sumText - 合计文本
+ * @returns {Array} 与列一一对应的合计值
+ */
+export function getSummaryValues(columns, data, sumText) {
+  return columns.map((column, index) => {
+    if (index === 0) return sumText;
+    if (!column.prop || column.isIndexColumn || column.isSelectionColumn || column.isExpandColumn) return "";
+    // 日期求和没有意义
+    if (column.format === "date") return "";
+
+    const cells = data
+      .map((row) => row[column.prop])
+      .filter((value) => value !== null && value !== undefined && value !== "");
+    const values = cells.map((value) =>
+      typeof value === "number" || (typeof value === "string" && value.trim() !== "") ? Number(value) : NaN
+    );
+    if (values.length === 0 || values.some((value) => Number.isNaN(value))) return "";
+
+    // 按参与求和的最大小数位数修正浮点误差
+    let precision = 0;
+    const sum = values.reduce((total, value, i) => {
+      const decimal = String(cells[i]).split(".")[1];
+      precision = Math.max(precision, decimal ? decimal.length : 0);
+      return total + value;
+    }, 0);
+    return Number(sum.toFixed(Math.min(precision, 20)));
+  });
+}
+
 /**
  * 根据数据自动生成列配置
  * @param {Array} data - 表格数据
@@ -0,0 +1,190 @@
+/**
+ * HTML 清洗工具函数
+ * 按标签和属性白名单过滤 HTML 字符串，移除脚本、事件属性和危险协议，保留常用排版标签和 SVG
+ */
+
+// 默认允许的 HTML 标签
+export const DEFAULT_ALLOWED_TAGS = [
+  "a", "abbr", "b", "br", "blockquote", "code", "dd", "del", "div", "dl", "dt", "em", "font",
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "li", "mark", "ol", "p", "pre",
+  "s", "small", "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead",
+  "tr", "u", "ul",
+  // SVG
+  "svg", "g", "path", "circle", "ellipse", "line", "polyline", "polygon", "rect", "text", "tspan",
+  "defs", "lineargradient", "radialgradient", "stop", "clippath", "mask", "pattern", "symbol",
+  "use", "title", "desc", "filter", "feblend", "fecolormatrix",
+  "fecomposite", "fedropshadow", "feflood", "fegaussianblur", "femerge", "femergenode", "feoffset",
+];
+
+// 默认允许的属性（所有标签通用）
+export const DEFAULT_ALLOWED_ATTRIBUTES = [
+  "class", "style", "title", "alt", "src", "href", "target", "rel", "width", "height", "align",
+  "valign", "colspan", "rowspan", "color", "size", "face", "id", "role", "dir", "lang",
+  // SVG
+  "viewbox", "xmlns", "xmlns:xlink", "xlink:href", "preserveaspectratio", "d", "fill", "fill-opacity",
+  "fill-rule", "clip-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap",
+  "stroke-linejoin", "stroke-dasharray", "stroke-dashoffset", "opacity", "transform", "points",
+  "x", "y", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry", "dx", "dy", "offset",
+  "stop-color", "stop-opacity", "gradientunits", "gradienttransform", "clip-path", "mask",
+  "font-size", "font-family", "font-weight", "text-anchor", "dominant-baseline",
+  "type", "fx", "fy",
+  "spreadmethod", "maskunits", "maskcontentunits", "patternunits", "patterntransform", "filter",
+  "filterunits", "color-interpolation-filters", "in", "in2", "result", "stddeviation", "mode",
+  "operator", "flood-color", "flood-opacity", "vector-effect",
+];
+
+// 连同内容一起移除的标签（其余不在白名单中的标签只移除标签本身，保留其中的文本）
+const DROP_CONTENT_TAGS = ["script", "style", "iframe", "object", "embed", "noscript", "template", "frame", "frameset"];
+
+// 取值为地址的属性
+const URL_ATTRIBUTES = ["href", "src", "xlink:href", "action", "formaction"];
+
+// SVG 动画标签：可通过 attributeName 改写其他属性，不在默认白名单中
+const ANIMATION_TAGS = ["animate", "animatetransform", "animatemotion", "set"];
+
+// 允许的地址协议，其余协议（javascript:、vbscript:、data: 等）一律拦截
+const SAFE_URL_PROTOCOLS = ["http", "https", "mailto"];
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * 判断地址是否安全
+ * 只允许 http、https、mailto 和相对地址；去除控制字符和空白后再判断，防止 "java\tscript:" 之类的绕过
+ * @param {string} value - 地址
+ * @param {boolean} [allowImageData] - 是否允许 data:image 图片（仅用于 img 的 src）
+ * @returns {boolean}
+ */
+export function isSafeUrl(value, allowImageData = false) {
+  const normalized = String(value).replace(/[\u0000-\u0020\u007f]/g, "").toLowerCase();
+  const protocol = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+  if (!protocol) return true;
+  if (protocol[1] === "data") return allowImageData && /^data:image\/(png|gif|jpe?g|webp|svg\+xml)[;,]/.test(normalized);
+  return SAFE_URL_PROTOCOLS.includes(protocol[1]);
+}
+
+/**
+ * 判断内联样式是否安全（拦截 expression() 和脚本协议的 url()）
+ * @param {string} value - 样式
+ * @returns {boolean}
+ */
+function isSafeStyle(value) {
+  const normalized = String(value).replace(/\s/g, "").toLowerCase();
+  return !/expression\(|javascript:|vbscript:|-moz-binding|behavior:/.test(normalized);
+}
+
+/**
+ * 清洗 HTML 字符串
+ * @param {string} html - HTML 字符串
+ * @param {Object} [options] - 白名单配置
+ * @param {Array} [options.allowedTags] - 允许的标签（小写）
+ * @param {Array} [options.allowedAttributes] - 允许的属性（小写）
+ * @returns {string} 清洗后的 HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  if (html === null || html === undefined || html === "") return "";
+  const source = String(html);
+
+  // 非浏览器环境无法解析 HTML，按纯文本转义
+  if (typeof document === "undefined") return escapeHtml(source);
+
+  const allowedTags = new Set(options.allowedTags || DEFAULT_ALLOWED_TAGS);
+  const allowedAttributes = new Set(options.allowedAttributes || DEFAULT_ALLOWED_ATTRIBUTES);
+
+  // template 中的内容不会执行脚本、不会加载图片
+  const template = document.createElement("template");
+  template.innerHTML = source;
+
+  const clean = (parent) => {
+    Array.from(parent.childNodes).forEach((node) => {
+      // 注释、处理指令等一律移除
+      if (node.nodeType === 8 || (node.nodeType !== 1 && node.nodeType !== 3)) {
+        node.remove();
+        return;
+      }
+      if (node.nodeType === 3) return;
+
+      const tag = node.nodeName.toLowerCase();
+      // 通过 extraTags 放行的动画标签也不允许改写地址属性（如 attributeName="href" to="javascript:..."）
+      const animatesUrl =
+        ANIMATION_TAGS.includes(tag) &&
+        Array.from(node.attributes).some(
+          (attribute) => attribute.name.toLowerCase() === "attributename" && URL_ATTRIBUTES.includes(attribute.value.trim().toLowerCase())
+        );
+      if (DROP_CONTENT_TAGS.includes(tag) || animatesUrl) {
+        node.remove();
+        return;
+      }
+      if (!allowedTags.has(tag)) {
+        // 不在白名单中的标签：保留清洗后的子节点，移除标签本身
+        clean(node);
+        node.replaceWith(...Array.from(node.childNodes));
+        return;
+      }
+
+      Array.from(node.attributes).forEach((attribute) => {
+        const name = attribute.name.toLowerCase();
+        const { value } = attribute;
+        const allowed =
+          !name.startsWith("on") &&
+          (allowedAttributes.has(name) || name.startsWith("data-") || name.startsWith("aria-")) &&
+          (!URL_ATTRIBUTES.includes(name) || isSafeUrl(value, tag === "img" && name === "src")) &&
+          (name !== "style" || isSafeStyle(value));
+        if (!allowed) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+
+      // 新窗口打开的链接禁止访问 opener
+      if (tag === "a" && node.getAttribute("target") === "_blank") {
+        node.setAttribute("rel", "noopener noreferrer");
+      }
+
+      clean(node);
+    });
+  };
+
+  clean(template.content);
+  return template.innerHTML;
+}
+
+/**
+ * 创建清洗函数
+ * @param {Object} config - 清洗配置
+ * @param {boolean} config.enabled - 是否启用清洗
+ * @param {Array} config.extraTags - 额外允许的标签
+ * @param {Array} config.extraAttributes - 额外允许的属性
+ * @returns {Function} (html, trusted) => string，trusted 为 true 时原样返回
+ */
+export function createSanitizer({ enabled = true, extraTags = [], extraAttributes = [] } = {}) {
+  const options = {
+    allowedTags: [...DEFAULT_ALLOWED_TAGS, ...extraTags.map((tag) => tag.toLowerCase())],
+    allowedAttributes: [...DEFAULT_ALLOWED_ATTRIBUTES, ...extraAttributes.map((attribute) => attribute.toLowerCase())],
+  };
+  // 相同内容的清洗结果缓存，避免滚动、悬停等重复渲染时反复解析
+  const cache = new Map();
+
+  return (html, trusted = false) => {
+    if (html === null || html === undefined) return "";
+    if (!enabled || trusted) return String(html);
+
+    const source = String(html);
+    if (cache.has(source)) return cache.get(source);
+    const result = sanitizeHtml(source, options);
+    // 缓存数量有限，超出时清空重新累计
+    if (cache.size >= 1000) cache.clear();
+    cache.set(source, result);
+    return result;
+  };
+}
@@ -0,0 +1,630 @@
+/**
+ * 脚本引擎
+ * 统一编译和执行配置中的用户脚本（函数体字符串）：
+ * - 相同的脚本只编译一次，编译结果按「参数 + 源码」全局缓存
+ * - 每个脚本除自身参数外，还可访问上下文变量 data（数据源）、utils（工具函数）、config（组件配置）
+ * - 执行出错时按配置路径记录错误信息、行号和出错次数，并返回兜底值
+ * - 循环体中注入计数检查，配合每次渲染的时间预算，避免死循环卡死页面
+ */
+import { formatValue } from "./format";
+import { fillTemplate } from "./index";
+import { escapeHtml } from "./sanitize";
+
+// 每个脚本在一次渲染中的累计执行时间上限（毫秒）
+export const RENDER_TIME_BUDGET = 1000;
+
+// 单次调用中循环体的最大执行次数
+export const ITERATION_LIMIT = 10000000;
+
+// 循环守卫函数名（注入到脚本参数中）
+const GUARD_NAME = "__scriptGuard__";
+
+// 生成的函数中用户脚本第一行之前的行数（函数声明两行 + 嵌套函数一行）
+const SOURCE_LINE_OFFSET = 3;
+
+// 上下文变量
+const CONTEXT_NAMES = ["data", "utils", "config"];
+
+// 提供给脚本的工具函数
+const SCRIPT_UTILS = {
+  formatValue,
+  fillTemplate,
+  escapeHtml,
+};
+
+// 编译缓存：参数 + 源码 -> { fn, error }
+const compileCache = new Map();
+
+/**
+ * 脚本超出执行预算时抛出的错误
+ */
+class ScriptBudgetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScriptBudgetError";
+  }
+}
+
+const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+// 其后的 / 为正则字面量开头的关键字
+const REGEX_PRECEDING_KEYWORDS = ["return", "typeof", "case", "do", "else", "in", "of", "new", "delete", "void", "throw", "instanceof", "yield", "await"];
+
+/**
+ * 在循环中注入守卫调用
+ * - while / do...while 和 for (;;) 在条件表达式开头注入，不要求循环体带花括号
+ * - for...in / for...of 在循环体开头注入，不带花括号的循环体包上 { } 后注入
+ * 跳过字符串、注释和正则字面量，模板字符串的 ${} 表达式中的循环同样注入；注入内容不含换行，错误行号保持不变
+ * @param {string} source - 脚本源码
+ * @returns {string} 注入后的源码
+ */
+export function instrumentLoops(source) {
+  const length = source.length;
+  let result = "";
+
+  // 判断 / 是否为正则字面量的开头：前一个有效字符为运算符、标点或关键字时为正则，否则为除号
+  const isRegexStart = (start) => {
+    let j = start - 1;
+    while (j >= 0 && /\s/.test(source[j])) j--;
+    if (j < 0 || /[(,=:[!&|?{};+\-*%<>~^]/.test(source[j])) return true;
+    const word = /[\w$]+$/.exec(source.slice(Math.max(0, j - 11), j + 1));
+    if (!word) return false;
+    const wordStart = j + 1 - word[0].length;
+    return REGEX_PRECEDING_KEYWORDS.includes(word[0]) && (wordStart === 0 || !/[\w$]/.test(source[wordStart - 1]));
+  };
+
+  // 跳过字符串、模板字符串、注释和正则字面量，返回结束位置
+  const skipLiteral = (start) => {
+    const char = source[start];
+    if (char === "/" && source[start + 1] === "/") {
+      const end = source.indexOf("\n", start);
+      return end === -1 ? length : end;
+    }
+    if (char === "/" && source[start + 1] === "*") {
+      const end = source.indexOf("*/", start + 2);
+      return end === -1 ? length : end + 2;
+    }
+    if (char === "'" || char === '"') {
+      let j = start + 1;
+      while (j < length && source[j] !== char) {
+        j += source[j] === "\\" ? 2 : 1;
+      }
+      return j + 1;
+    }
+    if (char === "`") {
+      let j = start + 1;
+      while (j < length && source[j] !== "`") {
+        if (source[j] === "\\") {
+          j += 2;
+        } else if (source[j] === "$" && source[j + 1] === "{") {
+          j = skipBraces(j + 2);
+        } else {
+          j++;
+        }
+      }
+      return j + 1;
+    }
+    if (char === "/" && isRegexStart(start)) {
+      let j = start + 1;
+      let inClass = false;
+      while (j < length && source[j] !== "\n") {
+        if (source[j] === "\\") {
+          j += 2;
+          continue;
+        }
+        if (source[j] === "[") inClass = true;
+        else if (source[j] === "]") inClass = false;
+        else if (source[j] === "/" && !inClass) break;
+        j++;
+      }
+      j++;
+      // 正则标志
+      while (j < length && /[a-z]/i.test(source[j])) j++;
+      return j;
+    }
+    return start;
+  };
+
+  // 跳过到与之配对的 }（start 位于左花括号之后），返回 } 之后的位置
+  const skipBraces = (start) => {
+    let depth = 0;
+    let j = start;
+    while (j < length) {
+      const end = skipLiteral(j);
+      if (end !== j) {
+        j = end;
+        continue;
+      }
+      if (source[j] === "{") depth++;
+      if (source[j] === "}") {
+        if (depth === 0) return j + 1;
+        depth--;
+      }
+      j++;
+    }
+    return length;
+  };
+
+  // 从 start 开始跳过空白和注释
+  const skipBlank = (start) => {
+    let j = start;
+    while (j < length) {
+      if (/\s/.test(source[j])) {
+        j++;
+      } else if (source[j] === "/" && (source[j + 1] === "/" || source[j + 1] === "*")) {
+        j = skipLiteral(j);
+      } else {
+        break;
+      }
+    }
+    return j;
+  };
+
+  // 跳过到与 source[start] 处左括号配对的右括号，返回右括号之后的位置
+  const skipGroup = (start) => {
+    let depth = 0;
+    let j = start;
+    while (j < length) {
+      const end = skipLiteral(j);
+      if (end !== j) {
+        j = end;
+        continue;
+      }
+      if ("([{".includes(source[j])) depth++;
+      if (")]}".includes(source[j])) {
+        depth--;
+        if (depth === 0) return j + 1;
+      }
+      j++;
+    }
+    return length;
+  };
+
+  // start 处是否为关键字 keyword（前后不与标识符相连）
+  const isKeyword = (start, keyword) =>
+    source.startsWith(keyword, start) &&
+    !/[\w$]/.test(source[start + keyword.length] || "") &&
+    (start === 0 || !/[\w$.]/.test(source[start - 1]));
+
+  // 跳过表达式语句，在顶层的分号之后、换行（不能接续下一行时）或外层右括号处结束
+  const skipExpression = (start) => {
+    let depth = 0;
+    // 最近两个有效字符
+    let prev = "";
+    let last = "";
+    let j = start;
+    while (j < length) {
+      const end = skipLiteral(j);
+      if (end !== j) {
+        // 注释不影响前一个有效字符
+        if (!(source[j] === "/" && (source[j + 1] === "/" || source[j + 1] === "*"))) {
+          prev = last;
+          last = "a";
+        }
+        j = end;
+        continue;
+      }
+      const char = source[j];
+      if ("([{".includes(char)) depth++;
+      if (")]}".includes(char)) {
+        if (depth === 0) return j;
+        depth--;
+      }
+      if (depth === 0 && char === ";") return j + 1;
+      if (depth === 0 && char === "\n") {
+        // 前一行以运算符结尾（++ / -- 除外）或下一行以运算符、括号开头时接续，否则按自动分号插入结束
+        const next = skipBlank(j);
+        const endsWithOperator = /[=+\-*/%&|^<>!?:,.~]/.test(last) && !(/[+-]/.test(last) && prev === last);
+        const continues = /^([.,?:=*/%&|^<>([`]|\+(?!\+)|-(?!-)|(in|instanceof)\b)/.test(source.slice(next, next + 11));
+        if (!endsWithOperator && !continues) return j;
+      }
+      if (!/\s/.test(char)) {
+        prev = last;
+        last = char;
+      }
+      j++;
+    }
+    return length;
+  };
+
+  // 跳过从 start 开始的一条语句，返回结束位置
+  const skipStatement = (start) => {
+    const i = skipBlank(start);
+    if (source[i] === "{") return skipBraces(i + 1);
+    for (const keyword of ["if", "for", "while", "with", "switch"]) {
+      if (!isKeyword(i, keyword)) continue;
+      const open = skipBlank(i + keyword.length);
+      const close = source[open] === "(" ? skipGroup(open) : open;
+      if (keyword === "switch") {
+        const body = skipBlank(close);
+        return source[body] === "{" ? skipBraces(body + 1) : body;
+      }
+      const end = skipStatement(close);
+      const next = skipBlank(end);
+      return keyword === "if" && isKeyword(next, "else") ? skipStatement(next + 4) : end;
+    }
+    if (isKeyword(i, "do")) {
+      const next = skipBlank(skipStatement(i + 2));
+      if (!isKeyword(next, "while")) return next;
+      const open = skipBlank(next + 5);
+      const close = source[open] === "(" ? skipGroup(open) : open;
+      const semicolon = skipBlank(close);
+      return source[semicolon] === ";" ? semicolon + 1 : close;
+    }
+    if (isKeyword(i, "try")) {
+      let end = skipStatement(i + 3);
+      let next = skipBlank(end);
+      if (isKeyword(next, "catch")) {
+        const open = skipBlank(next + 5);
+        end = skipStatement(source[open] === "(" ? skipGroup(open) : open);
+        next = skipBlank(end);
+      }
+      return isKeyword(next, "finally") ? skipStatement(next + 7) : end;
+    }
+    return skipExpression(i);
+  };
+
+  // start 处为 for / while 循环时输出注入后的循环头，返回已处理到的位置；否则返回 start
+  const instrumentLoop = (start) => {
+    const match = /^(for|while)\b/.exec(source.slice(start, start + 6));
+    if (!match || (start > 0 && /[\w$.]/.test(source[start - 1]))) return start;
+    const open = skipBlank(start + match[1].length);
+    if (source[open] !== "(") return start;
+
+    // 匹配条件部分的右括号，记录顶层分号
+    const semicolons = [];
+    let depth = 0;
+    let close = open;
+    while (close < length) {
+      const end = skipLiteral(close);
+      if (end !== close) {
+        close = end;
+        continue;
+      }
+      const char = source[close];
+      if (char === "(" || char === "[" || char === "{") depth++;
+      if (char === ")" || char === "]" || char === "}") {
+        depth--;
+        if (depth === 0) break;
+      }
+      if (char === ";" && depth === 1) semicolons.push(close);
+      close++;
+    }
+    if (close >= length) return start;
+
+    if (match[1] === "while") {
+      result += `${source.slice(start, open + 1)}${GUARD_NAME}(), ${source.slice(open + 1, close + 1)}`;
+      return close + 1;
+    }
+    if (semicolons.length === 2) {
+      const [first, second] = semicolons;
+      const test = source.slice(first + 1, second);
+      result += `${source.slice(start, first + 1)}${GUARD_NAME}(), ${test.trim() ? `(${test})` : "true"}${source.slice(second, close + 1)}`;
+      return close + 1;
+    }
+    // for...in / for...of
+    const bodyStart = skipBlank(close + 1);
+    if (source[bodyStart] === "{") {
+      result += `${source.slice(start, bodyStart + 1)}${GUARD_NAME}();`;
+      return bodyStart + 1;
+    }
+    // 不带花括号的循环体：包上 { } 后注入，循环体中的代码继续处理
+    const bodyEnd = skipStatement(bodyStart);
+    result += `${source.slice(start, bodyStart)}{ ${GUARD_NAME}(); `;
+    scanCode(bodyStart, false, bodyEnd);
+    // 脚本末尾的循环体可能以单行注释结束，右花括号放到下一行
+    result += bodyEnd === length ? "\n}" : " }";
+    return bodyEnd;
+  };
+
+  // 处理代码直到 end，返回结束位置；inTemplate 为 true 时在与 ${ 配对的 } 处结束
+  const scanCode = (start, inTemplate, end = length) => {
+    let i = start;
+    let depth = 0;
+    while (i < end) {
+      const char = source[i];
+      if (char === "`") {
+        i = scanTemplate(i);
+        continue;
+      }
+      const literalEnd = skipLiteral(i);
+      if (literalEnd !== i) {
+        result += source.slice(i, literalEnd);
+        i = literalEnd;
+        continue;
+      }
+      const loopEnd = instrumentLoop(i);
+      if (loopEnd !== i) {
+        // for...in / for...of 带花括号的循环体左花括号已输出
+        if (source[loopEnd - 1] === "{") depth++;
+        i = loopEnd;
+        continue;
+      }
+      if (inTemplate && char === "{") depth++;
+      if (inTemplate && char === "}") {
+        if (depth === 0) return i;
+        depth--;
+      }
+      result += char;
+      i++;
+    }
+    return i;
+  };
+
+  // 处理模板字符串，${} 中的表达式按代码处理，返回结束位置
+  const scanTemplate = (start) => {
+    result += "`";
+    let i = start + 1;
+    while (i < length && source[i] !== "`") {
+      if (source[i] === "\\") {
+        result += source.slice(i, i + 2);
+        i += 2;
+      } else if (source[i] === "$" && source[i + 1] === "{") {
+        result += "${";
+        i = scanCode(i + 2, true);
+        if (i < length) {
+          result += "}";
+          i++;
+        }
+      } else {
+        result += source[i];
+        i++;
+      }
+    }
+    if (i < length) {
+      result += "`";
+      i++;
+    }
+    return i;
+  };
+
+  scanCode(0, false);
+  return result;
+}
+
+/**
+ * 从错误堆栈中解析脚本内的行号（相对于用户编写的函数体）
+ * new Function 生成的函数体前有两行函数声明，用户脚本外还有一行嵌套函数的声明
+ * @param {Error} error - 错误对象
+ * @returns {number|null} 行号，无法解析时返回 null
+ */
+export function getErrorLine(error) {
+  if (!error) return null;
+  const stack = String(error.stack || "");
+  // Chrome: <anonymous>:3:9；Firefox: > Function:3:9
+  const match = stack.match(/<anonymous>:(\d+):\d+/) || stack.match(/> Function:(\d+):\d+/);
+  if (match) {
+    return Math.max(1, Number(match[1]) - SOURCE_LINE_OFFSET);
+  }
+  if (typeof error.lineNumber === "number") {
+    return Math.max(1, error.lineNumber - SOURCE_LINE_OFFSET);
+  }
+  return null;
+}
+
+/**
+ * 编译脚本（带缓存）
+ * @param {string} source - 脚本源码（函数体）
+ * @param {Array} params - 参数名列表
+ * @returns {Object} { fn, contextNames, error }
+ */
+function compileSource(source, params) {
+  const cacheKey = `${params.join(",")}\n${source}`;
+  if (compileCache.has(cacheKey)) {
+    return compileCache.get(cacheKey);
+  }
+
+  // 参数中已有的同名变量（如 data）以参数为准
+  const contextNames = CONTEXT_NAMES.filter((name) => !params.includes(name));
+  let compiled;
+  try {
+    // 用户脚本放在嵌套函数中执行，脚本中声明的同名变量（如 const config）遮蔽上下文变量而不是重复声明
+    // 嵌套函数只接收脚本自身的参数，上下文变量和循环守卫通过闭包访问，不出现在 arguments 中
+    const body = `return (function (${params.join(", ")}) {\n${instrumentLoops(source)}\n}).call(${["this", ...params].join(", ")});`;
+    const fn = new Function(...params, ...contextNames, GUARD_NAME, body);
+    compiled = { fn, contextNames, error: null };
+  } catch (e) {
+    compiled = { fn: null, contextNames, error: e };
+  }
+  compileCache.set(cacheKey, compiled);
+  return compiled;
+}
+
+/**
+ * 创建脚本引擎实例
+ * 每个表格实例一个，记录本表格中各脚本的错误
+ * @param {Object} [options] - 配置
+ * @param {number} [options.timeBudget] - 每个脚本在一次渲染中的累计执行时间上限（毫秒）
+ * @param {number} [options.iterationLimit] - 单次调用中循环体的最大执行次数
+ * @returns {Object} 脚本引擎
+ */
+export function createScriptEngine(options = {}) {
+  const timeBudget = options.timeBudget ?? RENDER_TIME_BUDGET;
+  const iterationLimit = options.iterationLimit ?? ITERATION_LIMIT;
+
+  // 执行上下文：提交后的上下文，以及只在同步渲染期间有效的本次渲染的上下文
+  let context = { data: [], config: {} };
+  let renderContext = null;
+  let renderContextScheduled = false;
+  // 配置路径 -> 错误信息 { path, label, phase, message, line, count, rowIndex, column }
+  const errors = new Map();
+  // 配置路径 -> 本次渲染已用时间
+  const usage = new Map();
+  let resetScheduled = false;
+  // 错误变化的订阅者
+  const listeners = new Set();
+  let notifyScheduled = false;
+
+  /**
+   * 通知订阅者错误列表已变化
+   * 错误多在渲染过程中产生，延迟到微任务中通知，避免在渲染中更新其他组件的状态
+   */
+  const notify = () => {
+    if (notifyScheduled || listeners.size === 0) return;
+    notifyScheduled = true;
+    const run = () => {
+      notifyScheduled = false;
+      listeners.forEach((listener) => listener());
+    };
+    if (typeof queueMicrotask === "function") queueMicrotask(run);
+    else Promise.resolve().then(run);
+  };
+
+  /**
+   * 记录脚本错误，同一路径只保留最近一次的信息并累计次数
+   */
+  const report = (path, label, phase, error, meta) => {
+    const prev = errors.get(path);
+    const line = getErrorLine(error);
+    errors.set(path, {
+      path,
+      label,
+      phase,
+      message: error?.message || String(error),
+      line,
+      count: (prev ? prev.count : 0) + 1,
+      rowIndex: meta?.rowIndex,
+      column: meta?.column,
+    });
+    // 同一脚本在大量单元格中出错时只输出第一次
+    if (!prev || prev.message !== (error?.message || String(error))) {
+      console.error(`${label}${phase === "compile" ? "解析" : "执行"}错误 [${path}]${line ? ` 第 ${line} 行` : ""}:`, error);
+    }
+    notify();
+  };
+
+  /**
+   * 累计脚本执行时间；同步渲染结束后（微任务中）清零，作为「每次渲染」的预算
+   */
+  const charge = (path, time) => {
+    usage.set(path, (usage.get(path) || 0) + time);
+    if (!resetScheduled) {
+      resetScheduled = true;
+      const reset = () => {
+        usage.clear();
+        resetScheduled = false;
+      };
+      if (typeof queueMicrotask === "function") queueMicrotask(reset);
+      else Promise.resolve().then(reset);
+    }
+  };
+
+  /**
+   * 编译脚本，返回可直接调用的函数
+   * @param {string} path - 配置路径（如 advancedStyle.cell.cellRender），用于记录错误
+   * @param {string} source - 脚本源码（函数体）
+   * @param {Array} params - 参数名列表
+   * @param {Object} [scriptOptions] - 选项
+   * @param {string} [scriptOptions.label] - 脚本名称（用于错误信息，如「单元格渲染脚本」）
+   * @param {*} [scriptOptions.fallback] - 执行出错或超出预算时的返回值
+   * @param {Function} [scriptOptions.meta] - 从调用参数中提取错误定位信息 (args) => { rowIndex, column }
+   * @param {boolean} [scriptOptions.rethrow] - 记录错误后继续抛出（调用方需要感知失败时使用）
+   * @returns {Function|null} 脚本函数，脚本为空或编译失败时返回 null
+   */
+  const compile = (path, source, params = [], scriptOptions = {}) => {
+    if (!source || typeof source !== "string" || source.trim() === "") {
+      return null;
+    }
+
+    const { label = "脚本", fallback, meta, rethrow = false } = scriptOptions;
+    const { fn, contextNames, error } = compileSource(source, params);
+    if (error) {
+      report(path, label, "compile", error, null);
+      return null;
+    }
+
+    return (...args) => {
+      const used = usage.get(path) || 0;
+      if (used >= timeBudget) {
+        // 已超出本次渲染的预算：跳过执行，只在首次跳过时记录
+        const error = new ScriptBudgetError(`执行时间超过 ${timeBudget}ms，本次渲染中已跳过`);
+        if (used !== Infinity) {
+          usage.set(path, Infinity);
+          report(path, label, "runtime", error, meta?.(args));
+        }
+        if (rethrow) throw error;
+        return fallback;
+      }
+
+      const start = now();
+      const deadline = start + (timeBudget - used);
+      let iterations = 0;
+      const guard = () => {
+        iterations++;
+        if (iterations > iterationLimit) {
+          throw new ScriptBudgetError(`循环次数超过 ${iterationLimit}，可能存在死循环`);
+        }
+        // 每 1024 次检查一次时间，降低守卫开销
+        if ((iterations & 1023) === 0 && now() > deadline) {
+          throw new ScriptBudgetError(`执行时间超过 ${timeBudget}ms，可能存在死循环`);
+        }
+      };
+
+      // 参数按声明顺序补齐，保证上下文变量位置正确
+      const callArgs = params.map((_, i) => args[i]);
+      const currentContext = renderContext || context;
+      contextNames.forEach((name) => {
+        callArgs.push(name === "utils" ? SCRIPT_UTILS : currentContext[name]);
+      });
+      callArgs.push(guard);
+
+      try {
+        return fn(...callArgs);
+      } catch (e) {
+        report(path, label, "runtime", e, meta?.(args));
+        if (rethrow) throw e;
+        return fallback;
+      } finally {
+        charge(path, now() - start);
+      }
+    };
+  };
+
+  return {
+    compile,
+    /**
+     * 更新提交后的脚本上下文（在 useLayoutEffect 中调用），渲染之外执行的脚本（如事件回调）使用该上下文
+     * @param {Object} nextContext - { data, config }
+     */
+    setContext(nextContext) {
+      context = { ...context, ...nextContext };
+    },
+    /**
+     * 设置本次渲染的脚本上下文，渲染中执行的脚本使用该上下文
+     * 同步渲染结束后（微任务中）清除，被丢弃的渲染不会改变提交后的上下文
+     * @param {Object} nextContext - { data, config }
+     */
+    setRenderContext(nextContext) {
+      renderContext = { ...(renderContext || context), ...nextContext };
+      if (renderContextScheduled) return;
+      renderContextScheduled = true;
+      const reset = () => {
+        renderContext = null;
+        renderContextScheduled = false;
+      };
+      if (typeof queueMicrotask === "function") queueMicrotask(reset);
+      else Promise.resolve().then(reset);
+    },
+    /**
+     * 获取所有脚本错误
+     * @returns {Array} 错误列表
+     */
+    getErrors() {
+      return Array.from(errors.values());
+    },
+    // 清空错误记录
+    clearErrors() {
+      errors.clear();
+      notify();
+    },
+    /**
+     * 订阅错误列表变化
+     * @param {Function} listener - 回调
+     * @returns {Function} 取消订阅
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}